@@ -0,0 +1,58 @@
+import process from 'node:process';
+
+// Subprocesses still running, with their `killSignal` option
+const instances = new Map();
+
+// Terminate the subprocess when the current process exits, unless `cleanup` is `false` or the subprocess is `detached`.
+// The process listeners are only added while there are subprocesses to terminate.
+export const handleCleanup = (instance, {cleanup = true, detached = false, killSignal}) => {
+	if (!cleanup || detached || instance.exitCode !== null || instance.signalCode !== null) {
+		return;
+	}
+
+	if (instances.size === 0) {
+		addListeners();
+	}
+
+	instances.set(instance, killSignal);
+	instance.once('close', () => {
+		instances.delete(instance);
+		if (instances.size === 0) {
+			removeListeners();
+		}
+	});
+};
+
+// The `exit` event is also emitted on uncaught exceptions and unhandled rejections.
+// Since the process is exiting, `forceKillAfterDelay` and `killTree` cannot be applied.
+const onExit = () => {
+	for (const [instance, killSignal] of instances) {
+		instance.kill(killSignal);
+	}
+};
+
+// Listening to a signal prevents the process from exiting.
+// So, unless other listeners handle it, the signal is sent again once the subprocesses are terminated.
+const onSignal = signal => {
+	onExit();
+	if (process.listenerCount(signal) === 1) {
+		removeListeners();
+		process.kill(process.pid, signal);
+	}
+};
+
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+
+const addListeners = () => {
+	process.on('exit', onExit);
+	for (const signal of SIGNALS) {
+		process.on(signal, onSignal);
+	}
+};
+
+const removeListeners = () => {
+	process.off('exit', onExit);
+	for (const signal of SIGNALS) {
+		process.off(signal, onSignal);
+	}
+};
@@ -1,12 +1,40 @@
 import process from 'node:process';
 import {stripVTControlCharacters} from 'node:util';
+import {getVerbose} from './verbose.js';
+import {getRedact} from './redact.js';
+import {quotePosix} from './quote.js';
 
-export const getContext = raw => ({
-	start: process.hrtime.bigint(),
-	command: raw.map(part => getCommandPart(stripVTControlCharacters(part))).join(' '),
-	state: {stdout: '', stderr: '', output: ''},
+export const getContext = (raw, options, {pool, secrets, isPipeDestination}) => {
+	const {redact, redactOutput} = getRedact(options, secrets);
+	return {
+		start: process.hrtime.bigint(),
+		command: getCommand(raw.map(part => stripVTControlCharacters(part)), redact),
+		escapedCommand: getCommand(raw, redact),
+		encoding: options.encoding ?? 'utf8',
+		state: getState(),
+		pool,
+		verbose: getVerbose(options),
+		redact,
+		redactOutput,
+		errorLines: options.errorLines,
+		retries: options.retry?.retries ?? 0,
+		isPipeDestination,
+	};
+};
+
+// Output chunks are concatenated once the subprocess ends
+export const getState = () => ({
+	stdout: [],
+	stderr: [],
+	output: [],
+	timedOut: false,
+	isCanceled: false,
+	isMaxBuffer: false,
 });
 
-const getCommandPart = part => /[^\w./-]/.test(part)
-	? `'${part.replaceAll('\'', '\'\\\'\'')}'`
-	: part;
+// Each part is redacted before being escaped, so that escaping does not prevent matching.
+// The whole command is redacted too, for patterns spanning several arguments.
+// `command` strips ANSI sequences for readability, while `escapedCommand` keeps the arguments as is.
+const getCommand = (raw, redact) => redact(raw
+	.map(part => quotePosix(redact(part)))
+	.join(' '));
@@ -0,0 +1,61 @@
+import {channel} from 'node:diagnostics_channel';
+
+// Subscribers can observe every subprocess, e.g. for tracing or metrics.
+// `start` can be used to correlate the messages of a given subprocess.
+const startChannel = channel('nano-spawn:start');
+const spawnChannel = channel('nano-spawn:spawn');
+const endChannel = channel('nano-spawn:end');
+const errorChannel = channel('nano-spawn:error');
+
+// Published when `spawn()` is called, before any validation
+export const publishStart = ({command, start, redact}, file, commandArguments, options) => {
+	if (startChannel.hasSubscribers) {
+		startChannel.publish({
+			command,
+			file: redact(file),
+			arguments: commandArguments.map(commandArgument => redact(commandArgument)),
+			options,
+			start,
+		});
+	}
+};
+
+// Published once the subprocess has spawned, including on retries
+export const publishSpawn = ({command, start}, nodeChildProcess) => {
+	if (spawnChannel.hasSubscribers) {
+		spawnChannel.publish({
+			command,
+			pid: nodeChildProcess.pid,
+			nodeChildProcess,
+			start,
+		});
+	}
+};
+
+// Published once the subprocess has completed, after any retry
+export const publishResult = async (result, {command, start}) => {
+	try {
+		const value = await result;
+		if (endChannel.hasSubscribers) {
+			endChannel.publish({
+				command,
+				result: value,
+				start,
+				durationMs: value.durationMs,
+			});
+		}
+
+		return value;
+	} catch (error) {
+		if (errorChannel.hasSubscribers) {
+			errorChannel.publish({
+				command,
+				error,
+				start,
+				durationMs: error.durationMs,
+			});
+		}
+
+		throw error;
+	}
+};
@@ -0,0 +1,29 @@
+import {Buffer} from 'node:buffer';
+import {StringDecoder} from 'node:string_decoder';
+
+export const validateEncoding = ({encoding = 'utf8'}) => {
+	if (encoding !== 'buffer' && !Buffer.isEncoding(encoding)) {
+		throw new TypeError(`The "encoding" option must be "buffer" or a text encoding, not "${encoding}".`);
+	}
+};
+
+// Decoding is done by each consumer, as opposed to using `stream.setEncoding()`.
+// This ensures `subprocess.pipe()` transfers bytes as is.
+// This also handles multibyte sequences split across chunks.
+export const getDecoder = encoding => new StringDecoder(encoding === 'buffer' ? 'utf8' : encoding);
+
+// Concatenate the chunks buffered in `state.stdout`, `state.stderr` or `state.output`
+export const concatChunks = (chunks, encoding) => encoding === 'buffer'
+	? concatUint8Arrays(chunks)
+	: chunks.join('');
+
+const concatUint8Arrays = chunks => {
+	const result = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+	let offset = 0;
+	for (const chunk of chunks) {
+		result.set(chunk, offset);
+		offset += chunk.length;
+	}
+
+	return result;
+};
@@ -0,0 +1,38 @@
+import {open} from 'node:fs/promises';
+
+// Open the files passed as `{file: path}` to the `stdin`, `stdout`, `stderr` or `stdio` option, and pass their file descriptors to the subprocess.
+// `fileHandles` is used to close them once the subprocess has spawned, since the subprocess inherits its own copy.
+export const openFiles = async ({stdio, ...options}, fileHandles) => {
+	if (!Array.isArray(stdio) || !stdio.some(stdioOption => isFile(stdioOption))) {
+		return {...options, stdio};
+	}
+
+	const fileDescriptors = [];
+	for (const [index, stdioOption] of stdio.entries()) {
+		// Opened serially, so that no file is still being opened when `closeFiles()` is called on errors
+		// eslint-disable-next-line no-await-in-loop
+		fileDescriptors.push(isFile(stdioOption) ? await openFile(stdioOption, index, fileHandles) : stdioOption);
+	}
+
+	return {...options, stdio: fileDescriptors};
+};
+
+const isFile = stdioOption => typeof stdioOption?.file === 'string' || stdioOption?.file instanceof URL;
+
+const openFile = async ({file, append = false}, index, fileHandles) => {
+	const fileHandle = await open(file, getFlags(index, append));
+	fileHandles.push(fileHandle);
+	return fileHandle.fd;
+};
+
+const getFlags = (index, append) => {
+	if (index === 0) {
+		return 'r';
+	}
+
+	return append ? 'a' : 'w';
+};
+
+export const closeFiles = async fileHandles => {
+	await Promise.all(fileHandles.map(fileHandle => fileHandle.close()));
+};
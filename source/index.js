@@ -1,28 +1,89 @@
 import {getContext} from './context.js';
-import {getOptions} from './options.js';
+import {getOptions, mergeOptions} from './options.js';
 import {spawnSubprocess} from './spawn.js';
 import {getResult} from './result.js';
-import {handlePipe} from './pipe.js';
+import {handlePipe, teeSubprocess} from './pipe.js';
 import {lineIterator, combineAsyncIterators} from './iterable.js';
+import {parseJson, getLines, jsonIterator} from './parse.js';
+import {getTemplate} from './template.js';
+import {retrySubprocess} from './retry.js';
+import {createPool, getPoolMethods} from './pool.js';
+import {killSubprocess, cancelSubprocess} from './kill.js';
+import {logResult} from './verbose.js';
+import {publishStart, publishResult} from './diagnostics.js';
+import {measureSubprocess} from './performance.js';
+import {normalizeArguments} from './redact.js';
+import {quote} from './quote.js';
 
 export {SubprocessError} from './result.js';
+export {secret} from './redact.js';
 
-export default function spawn(file, second, third, previous) {
-	const [commandArguments = [], options = {}] = Array.isArray(second) ? [second, third] : [[], second];
-	const context = getContext([file, ...commandArguments]);
+// Cancels a subprocess and its `.pipe()` sources
+const cancelers = new WeakMap();
+
+const createSpawn = (defaults, pool) => {
+	const boundSpawn = (file, second, third) => spawn(file, second, third, {defaults, pool});
+	Object.assign(boundSpawn, {
+		$: getTemplate(boundSpawn, {}),
+		create: options => createSpawn(mergeOptions(defaults, options), pool),
+		pool: poolOptions => createSpawn(defaults, createPool(poolOptions)),
+		quote,
+	});
+	// `pending` and `running` are getters, which `Object.assign()` would not copy
+	return pool === undefined
+		? boundSpawn
+		: Object.defineProperties(boundSpawn, Object.getOwnPropertyDescriptors(getPoolMethods(pool)));
+};
+
+const spawn = (rawFile, second, third, {defaults, previous, isTee, pool}) => {
+	const [rawArguments = [], callOptions = {}] = Array.isArray(second) ? [second, third] : [[], second];
+	const {commandArguments: [file, ...commandArguments], secrets} = normalizeArguments([rawFile, ...rawArguments]);
+	const options = mergeOptions(defaults, callOptions);
+	const context = getContext([file, ...commandArguments], options, {pool, secrets, isPipeDestination: previous !== undefined});
+	publishStart(context, file, commandArguments, options);
 	const spawnOptions = getOptions(options);
-	const nodeChildProcess = spawnSubprocess(file, commandArguments, spawnOptions, context);
-	let subprocess = getResult(nodeChildProcess, spawnOptions, context);
+	// With the `retry` option, `subprocess.kill()` and canceling apply to the current attempt
+	let currentChildProcess;
+	const runAttempt = () => {
+		const nodeChildProcess = spawnSubprocess(file, commandArguments, spawnOptions, context);
+		currentChildProcess = nodeChildProcess;
+		return {nodeChildProcess, result: logResult(getResult(nodeChildProcess, spawnOptions, context), context)};
+	};
+
+	const {nodeChildProcess, result} = runAttempt();
+	const retriedResult = retrySubprocess(result, () => runAttempt().result, spawnOptions, context);
+	let subprocess = publishResult(measureSubprocess(retriedResult, spawnOptions, context), context);
 	Object.assign(subprocess, {nodeChildProcess});
-	subprocess = previous ? handlePipe([previous, subprocess]) : subprocess;
+	const cancelSources = cancelers.get(previous);
+	subprocess = previous ? handlePipe([previous, subprocess], spawnOptions, {isTee, cancelSources}) : subprocess;
+	cancelers.set(subprocess, reason => Promise.all([cancelSubprocess(currentChildProcess, spawnOptions, context, reason), cancelSources?.(reason)]));
 
-	const stdout = lineIterator(subprocess, context, 'stdout');
-	const stderr = lineIterator(subprocess, context, 'stderr');
+	// The destinations of `.pipe()` use the same defaults.
+	// Canceling the source subprocess also cancels its destinations, and `handlePipe()` cancels the sources of a canceled destination.
+	// They are not queued by `spawn.pool()`, since the source cannot complete until they start reading its output.
+	// They are not retried either, since their input cannot be replayed.
+	const pipeDefaults = {...defaults, retry: undefined, cancelSignal: spawnOptions.cancelSignal};
+	// With `.tee()`, each destination reads from its own stream.
+	// Otherwise, one destination exiting early would end the source stream, which would cut the other destinations off.
+	const pipeSubprocess = ([file, second, third], isTee) => spawn(file, second, third, {defaults: pipeDefaults, previous: subprocess, isTee});
+	const stdout = getLineIterator(subprocess, context, 'stdout');
+	const stderr = getLineIterator(subprocess, context, 'stderr');
 	return Object.assign(subprocess, {
 		nodeChildProcess,
 		stdout,
 		stderr,
 		[Symbol.asyncIterator]: () => combineAsyncIterators(stdout, stderr),
-		pipe: (file, second, third) => spawn(file, second, third, subprocess),
+		pipe: (file, second, third) => pipeSubprocess([file, second, third], false),
+		tee: destinations => teeSubprocess(destinations, destination => pipeSubprocess(destination, true)),
+		json: () => parseJson(subprocess, context),
+		lines: () => getLines(subprocess),
+		kill: (...killArguments) => killSubprocess(currentChildProcess, spawnOptions, killArguments),
 	});
-}
+};
+
+const getLineIterator = (subprocess, context, streamName) => {
+	const lines = lineIterator(subprocess, context, streamName);
+	return Object.assign(lines, {json: () => jsonIterator(lines, context, streamName)});
+};
+
+export default createSpawn({});
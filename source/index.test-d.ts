@@ -7,9 +7,20 @@ import {
 } from 'tsd';
 import spawn, {
 	SubprocessError,
+	secret,
+	type Secret,
 	type Options,
 	type Result,
 	type Subprocess,
+	type LineIterable,
+	type PipeOptions,
+	type TemplateSpawn,
+	type Spawn,
+	type SpawnPool,
+	type PoolOptions,
+	type DiagnosticsMessages,
+	type ResourceUsage,
+	type QuoteOptions,
 } from './index.js';
 
 try {
@@ -19,31 +30,74 @@ try {
 	expectType<string>(result.stderr);
 	expectType<string>(result.output);
 	expectType<string>(result.command);
+	expectType<string>(result.escapedCommand);
+	expectError(result.shortMessage);
+	expectError(result.originalMessage);
 	expectType<number>(result.durationMs);
 	expectType<Result | SubprocessError | undefined>(result.pipedFrom);
 	expectType<Result | SubprocessError | undefined>(result.pipedFrom?.pipedFrom);
 	expectType<number | undefined>(result.pipedFrom?.durationMs);
+	expectType<Array<Result | SubprocessError>>(result.pipeline);
+	expectType<number>(result.pipeline[0].durationMs);
 	expectNotAssignable<Error>(result);
 	expectError(result.exitCode);
 	expectError(result.signalName);
+	expectError(result.timedOut);
+	expectError(result.isCanceled);
+	expectError(result.isMaxBuffer);
 	expectError(result.other);
 } catch (error) {
 	if (error instanceof SubprocessError) {
-		expectType<string>(error.stdout);
-		expectType<string>(error.stderr);
-		expectType<string>(error.output);
+		// The `encoding` option is unknown when using `instanceof`
+		const textError = error as SubprocessError;
+		expectType<string>(textError.stdout);
+		expectType<string>(textError.stderr);
+		expectType<string>(textError.output);
+		const bufferError = error as SubprocessError<Uint8Array>;
+		expectType<Uint8Array>(bufferError.stdout);
+		expectType<Uint8Array>(bufferError.stderr);
+		expectType<Uint8Array>(bufferError.output);
+		expectError(error as SubprocessError<number>);
 		expectType<string>(error.command);
+		expectType<string>(error.escapedCommand);
+		expectType<string>(error.shortMessage);
+		expectType<string | undefined>(error.originalMessage);
 		expectType<number>(error.durationMs);
 		expectType<Result | SubprocessError | undefined>(error.pipedFrom);
 		expectType<Result | SubprocessError | undefined>(error.pipedFrom?.pipedFrom);
 		expectType<number | undefined>(error.pipedFrom?.durationMs);
+		expectType<Array<Result | SubprocessError>>(error.pipeline);
+		expectType<SubprocessError[]>(error.attempts);
 		expectAssignable<Error>(error);
 		expectType<number | undefined>(error.exitCode);
 		expectType<string | undefined>(error.signalName);
+		expectType<boolean>(error.timedOut);
+		expectType<boolean>(error.isCanceled);
+		expectType<boolean>(error.isMaxBuffer);
 		expectError(error.other);
 	}
 }
 
+const bufferResult = await spawn('test', {encoding: 'buffer'});
+expectType<Result<Uint8Array>>(bufferResult);
+expectType<Uint8Array>(bufferResult.stdout);
+expectType<Uint8Array>(bufferResult.stderr);
+expectType<Uint8Array>(bufferResult.output);
+expectType<string>(bufferResult.command);
+expectType<Subprocess<Uint8Array>>(spawn('test', {encoding: 'buffer'}));
+expectType<Subprocess<Uint8Array>>(spawn('test', ['one'], {encoding: 'buffer'}));
+expectType<Subprocess<Uint8Array>>(spawn('test', undefined, {encoding: 'buffer'}));
+expectType<Subprocess>(spawn('test', {encoding: 'utf8'}));
+expectType<Subprocess>(spawn('test', ['one'], {encoding: 'utf8'}));
+expectType<Subprocess>(spawn('test', {encoding: 'hex'}));
+expectType<Subprocess<Uint8Array>>(spawn('test').pipe('test', {encoding: 'buffer'}));
+expectType<Subprocess<Uint8Array>>(spawn('test').pipe('test', ['one'], {encoding: 'buffer'}));
+expectType<Subprocess>(spawn('test', {encoding: 'buffer'}).pipe('test'));
+
+for await (const line of spawn('test', {encoding: 'buffer'})) {
+	expectType<string>(line);
+}
+
 expectAssignable<Options>({} as const);
 expectAssignable<Options>({argv0: 'test'} as const);
 expectNotAssignable<Options>({other: 'test'} as const);
@@ -53,6 +107,31 @@ await spawn('test', {argv0: 'test'} as const);
 expectError(await spawn('test', {argv0: true} as const));
 await spawn('test', {preferLocal: true} as const);
 expectError(await spawn('test', {preferLocal: 'true'} as const));
+await spawn('test', {timeout: 1} as const);
+expectError(await spawn('test', {timeout: '1'} as const));
+await spawn('test', {forceKillAfterDelay: 1} as const);
+await spawn('test', {forceKillAfterDelay: false} as const);
+expectError(await spawn('test', {forceKillAfterDelay: true} as const));
+expectError(await spawn('test', {forceKillAfterDelay: '1'} as const));
+await spawn('test', {cancelSignal: AbortSignal.abort()} as const);
+expectError(await spawn('test', {cancelSignal: true} as const));
+await spawn('test', {maxBuffer: 1} as const);
+await spawn('test', {maxBuffer: {}} as const);
+await spawn('test', {maxBuffer: {size: 1, lines: 1, keep: 'tail'}} as const);
+await spawn('test', {maxBuffer: {keep: 'error'}} as const);
+expectError(await spawn('test', {maxBuffer: '1'} as const));
+expectError(await spawn('test', {maxBuffer: {size: '1'}} as const));
+expectError(await spawn('test', {maxBuffer: {lines: '1'}} as const));
+expectError(await spawn('test', {maxBuffer: {keep: 'head'}} as const));
+expectError(await spawn('test', {maxBuffer: {other: 1}} as const));
+await spawn('test', {encoding: 'utf8'} as const);
+await spawn('test', {encoding: 'buffer'} as const);
+await spawn('test', {encoding: 'utf16le'} as const);
+await spawn('test', {encoding: 'latin1'} as const);
+await spawn('test', {encoding: 'base64'} as const);
+await spawn('test', {encoding: 'hex'} as const);
+expectError(await spawn('test', {encoding: 'other'} as const));
+expectError(await spawn('test', {encoding: true} as const));
 await spawn('test', {env: {}} as const);
 // eslint-disable-next-line @typescript-eslint/naming-convention
 await spawn('test', {env: {TEST: 'test'}} as const);
@@ -62,6 +141,28 @@ expectError(await spawn('test', {env: {TEST: true}} as const));
 await spawn('test', {stdin: 'pipe'} as const);
 await spawn('test', {stdin: {string: 'test'} as const} as const);
 expectError(await spawn('test', {stdin: {string: true} as const} as const));
+await spawn('test', {stdin: {bytes: new Uint8Array()} as const} as const);
+expectError(await spawn('test', {stdin: {bytes: 'test'} as const} as const));
+await spawn('test', {stdin: {file: 'test.txt'} as const} as const);
+await spawn('test', {stdin: {file: new URL('file:///test.txt')} as const} as const);
+expectError(await spawn('test', {stdin: {file: true} as const} as const));
+const generateInput = async function * () {
+	yield 'test';
+	yield new Uint8Array();
+};
+
+await spawn('test', {stdin: generateInput()} as const);
+expectError(await spawn('test', {stdin: [1, 2]} as const));
+expectError(await spawn('test', {stdout: {bytes: new Uint8Array()} as const} as const));
+expectError(await spawn('test', {stdout: generateInput()} as const));
+await spawn('test', {stdout: {file: 'test.txt'} as const} as const);
+await spawn('test', {stdout: {file: new URL('file:///test.txt'), append: true} as const} as const);
+expectError(await spawn('test', {stdout: {file: 'test.txt', append: 'true'} as const} as const));
+await spawn('test', {stderr: {file: 'test.txt', append: false} as const} as const);
+expectError(await spawn('test', {stderr: {file: true} as const} as const));
+await spawn('test', {stdio: ['pipe', {file: 'test.txt', append: true} as const, {file: 'test.txt'} as const] as const} as const);
+await spawn('test', {stdio: [{file: 'test.txt'} as const, 'pipe', 'pipe'] as const} as const);
+await spawn('test', {stdio: [generateInput(), 'pipe', 'pipe'] as const} as const);
 expectError(await spawn('test', {stdin: {other: 'test'} as const} as const));
 expectError(await spawn('test', {stdin: true} as const));
 await spawn('test', {stdout: 'pipe'} as const);
@@ -143,9 +244,210 @@ for await (const line of spawn('test').pipe('test').stderr) {
 	expectType<string>(line);
 }
 
+for await (const value of spawn('test').stdout.json()) {
+	expectType<unknown>(value);
+}
+
+for await (const value of spawn('test').pipe('test').stderr.json()) {
+	expectType<unknown>(value);
+}
+
+for await (const value of spawn('test').stdout.json<{test: string}>()) {
+	expectType<{test: string}>(value);
+}
+
+expectType<Result>(await spawn('test').pipe('test', {from: 'stdout'}));
+expectType<Result>(await spawn('test').pipe('test', ['test'], {from: 'stderr'}));
+expectType<Result>(await spawn('test').pipe('test', {from: 'all'}));
+expectType<Subprocess<Uint8Array>>(spawn('test').pipe('test', {from: 'all', encoding: 'buffer'}));
+expectError(spawn('test').pipe('test', {from: 'stdin'}));
+expectError(spawn('test', {from: 'stdout'}));
+expectType<Result>(await spawn('test').pipe('test', {pipefail: 'all'}));
+expectType<Result>(await spawn('test').pipe('test', ['test'], {pipefail: 'last'}));
+expectType<Result>(await spawn('test').pipe('test', {
+	pipefail(error) {
+		expectType<SubprocessError>(error);
+		return error.exitCode === 141;
+	},
+}));
+expectError(spawn('test').pipe('test', {pipefail: 'first'}));
+expectError(spawn('test').pipe('test', {pipefail: true}));
+expectError(spawn('test').pipe('test', {pipefail: () => 'true'}));
+expectAssignable<PipeOptions>({from: 'stderr'} as const);
+expectAssignable<PipeOptions>({from: 'stderr', timeout: 1} as const);
+expectNotAssignable<PipeOptions>({from: true} as const);
+
+expectType<Array<Result | SubprocessError>>(await spawn('test').tee([['test'], ['test', ['test']], ['test', ['test'], {from: 'stderr'}], ['test', {timeout: 1}]]));
+expectType<Array<Result | SubprocessError>>(await spawn('test').pipe('test').tee([['test']]));
+expectType<Array<Result | SubprocessError>>(await spawn('test').tee([['test', {encoding: 'hex'}]]));
+expectType<Array<Result | SubprocessError>>(await spawn('test').tee([]));
+expectError(spawn('test').tee(['test']));
+expectError(spawn('test').tee([['test', {encoding: 'buffer'}]]));
+expectError(spawn('test').tee([['test', {from: 'stdin'}]]));
+expectError(spawn('test').tee());
+
+expectType<LineIterable>(spawn('test').stdout);
+expectError(spawn('test').stdout.json('test'));
+expectType<unknown>(await spawn('test').json());
+expectType<unknown>(await spawn('test').pipe('test').json());
+expectType<{test: string}>(await spawn('test').json<{test: string}>());
+expectType<unknown>(await spawn('test', {encoding: 'buffer'}).json());
+expectError(spawn('test').json('test'));
+expectType<string[]>(await spawn('test').lines());
+expectType<string[]>(await spawn('test').pipe('test').lines());
+expectType<string[]>(await spawn('test', {encoding: 'buffer'}).lines());
+expectError(spawn('test').lines('test'));
+
 const subprocess = spawn('test');
 expectType<Subprocess>(subprocess);
 
 const nodeChildProcess = await subprocess.nodeChildProcess;
 expectType<ChildProcess>(nodeChildProcess);
 expectType<number | undefined>(nodeChildProcess.pid);
+
+expectType<Subprocess>(spawn.$`test`);
+expectType<Subprocess>(spawn.$`test ${'test'} ${1} ${['test', 1]}`);
+expectType<Result>(await spawn.$`test`);
+expectType<Result>(await spawn.$`test`.pipe('test'));
+expectType<Subprocess>(spawn.$({timeout: 1})`test`);
+expectType<Subprocess>(spawn.$({timeout: 1})({cwd: '.'})`test`);
+expectType<Subprocess<Uint8Array>>(spawn.$({encoding: 'buffer'})`test`);
+expectType<Subprocess<Uint8Array>>(spawn.$({encoding: 'buffer'})({timeout: 1})`test`);
+expectType<Subprocess>(spawn.$({encoding: 'buffer'})({encoding: 'utf8'})`test`);
+expectType<TemplateSpawn>(spawn.$);
+expectType<TemplateSpawn>(spawn.$({}));
+expectError(spawn.$`test ${true}`);
+expectError(spawn.$`test ${{}}`);
+expectError(spawn.$`test ${[true]}`);
+expectError(spawn.$({timeout: 'test'}));
+expectError(spawn.$('test'));
+
+const spawnWithDefaults = spawn.create({cwd: '.'});
+expectType<Spawn>(spawnWithDefaults);
+expectType<Subprocess>(spawnWithDefaults('test'));
+expectType<Subprocess>(spawnWithDefaults('test', ['test'], {timeout: 1}));
+expectType<Subprocess<Uint8Array>>(spawnWithDefaults('test', {encoding: 'buffer'}));
+expectType<Result>(await spawnWithDefaults('test').pipe('test'));
+expectType<Subprocess>(spawnWithDefaults.$`test`);
+expectType<Spawn>(spawnWithDefaults.create({timeout: 1}));
+expectType<Subprocess>(spawnWithDefaults.create({timeout: 1})('test'));
+const bufferSpawn = spawn.create({encoding: 'buffer'});
+expectType<Spawn<Uint8Array>>(bufferSpawn);
+expectType<Subprocess<Uint8Array>>(bufferSpawn('test'));
+expectType<Subprocess<Uint8Array>>(bufferSpawn('test', {timeout: 1}));
+expectType<Subprocess>(bufferSpawn('test', {encoding: 'utf8'}));
+expectType<Subprocess<Uint8Array>>(bufferSpawn.$`test`);
+expectType<Spawn<Uint8Array>>(bufferSpawn.create({timeout: 1}));
+expectType<Spawn>(bufferSpawn.create({encoding: 'utf8'}));
+expectError(spawn.create());
+expectError(spawn.create({timeout: 'test'}));
+expectError(spawnWithDefaults(true));
+
+await spawn('test', {retry: {}});
+await spawn('test', {retry: {retries: 1, delay: 1, factor: 1}});
+await spawn('test', {
+	retry: {
+		shouldRetry(error) {
+			expectType<SubprocessError>(error);
+			return error.exitCode === 1;
+		},
+	},
+});
+await spawn('test', {retry: {shouldRetry: async () => true}});
+expectError(await spawn('test', {retry: 1}));
+expectError(await spawn('test', {retry: {retries: '1'}}));
+expectError(await spawn('test', {retry: {shouldRetry: () => 'true'}}));
+
+const pool = spawn.pool({concurrency: 2});
+expectType<SpawnPool>(pool);
+expectType<Subprocess>(pool('test'));
+expectType<Subprocess<Uint8Array>>(pool('test', {encoding: 'buffer'}));
+expectType<number>(pool.pending);
+expectType<number>(pool.running);
+expectType<Promise<void>>(pool.onIdle());
+expectType<void>(pool.clear());
+expectType<SpawnPool<Uint8Array>>(spawn.create({encoding: 'buffer'}).pool({concurrency: 1}));
+expectError(spawn.pool());
+expectError(spawn.pool({}));
+expectError(spawn.pool({concurrency: '1'}));
+expectError(pool.pending = 1);
+expectAssignable<PoolOptions>({concurrency: Number.POSITIVE_INFINITY});
+
+expectType<Promise<void>>(spawn('test').kill());
+expectType<Promise<void>>(spawn('test').kill('SIGKILL'));
+expectType<Promise<void>>(spawn('test').kill(9));
+expectType<Promise<void>>(spawn('test').kill('SIGKILL', {tree: true}));
+expectType<Promise<void>>(spawn('test').kill({tree: true}));
+expectType<Promise<void>>(spawn('test').kill(undefined, {}));
+expectError(spawn('test').kill('SIGKILL', {tree: 'true'}));
+expectError(spawn('test').kill(true));
+await spawn('test', {killTree: true});
+expectError(await spawn('test', {killTree: 'true'}));
+await spawn('test', {cleanup: false});
+expectError(await spawn('test', {cleanup: 'false'}));
+
+await spawn('test', {verbose: 'short'});
+await spawn('test', {
+	verbose: 'full',
+	logger(line: string) {
+		console.log(line);
+	},
+});
+expectError(await spawn('test', {verbose: true}));
+expectError(await spawn('test', {
+	logger(line: number) {
+		console.log(line);
+	},
+}));
+
+expectType<bigint>({} as DiagnosticsMessages['nano-spawn:start']['start']);
+expectType<Options>({} as DiagnosticsMessages['nano-spawn:start']['options']);
+expectType<number>({} as DiagnosticsMessages['nano-spawn:spawn']['pid']);
+expectType<ChildProcess>({} as DiagnosticsMessages['nano-spawn:spawn']['nodeChildProcess']);
+expectType<Result<string | Uint8Array>>({} as DiagnosticsMessages['nano-spawn:end']['result']);
+expectType<SubprocessError<string | Uint8Array>>({} as DiagnosticsMessages['nano-spawn:error']['error']);
+expectType<number>({} as DiagnosticsMessages['nano-spawn:error']['durationMs']);
+
+await spawn('test', {performance: true});
+expectError(await spawn('test', {performance: 'true'}));
+
+await spawn('test', {resourceUsage: true});
+expectError(await spawn('test', {resourceUsage: 'true'}));
+
+const {resourceUsage} = await spawn('test', {resourceUsage: true});
+expectType<ResourceUsage | undefined>(resourceUsage);
+expectType<number>(resourceUsage!.userCPUTime);
+expectType<number>(resourceUsage!.systemCPUTime);
+expectType<number>(resourceUsage!.maxRSS);
+expectType<number>(resourceUsage!.voluntaryContextSwitches);
+expectType<number>(resourceUsage!.involuntaryContextSwitches);
+expectType<ResourceUsage | undefined>(new SubprocessError().resourceUsage);
+
+expectType<Secret>(secret('token'));
+expectError(secret(1));
+await spawn('test', ['arg', secret('token')]);
+await spawn('test', [secret('token')], {encoding: 'buffer'});
+await spawn('test').pipe('test', [secret('token')]);
+await spawn('test').tee([['test', [secret('token')]]]);
+await spawn.$`test ${secret('token')} --token=${secret('token')} ${[secret('token'), 'arg']}`;
+expectError(await spawn('test', [{}]));
+await spawn('test', {redact: ['token', /token/]});
+await spawn('test', {redact: (text: string) => text});
+await spawn('test', {redact: [], redactOutput: true});
+expectError(await spawn('test', {redact: [1]}));
+expectError(await spawn('test', {redact: 'token'}));
+expectError(await spawn('test', {redactOutput: 'true'}));
+
+expectType<string>(spawn.quote(['test', 'arg']));
+expectType<string>(spawn.quote(['test'], {shell: 'posix'}));
+expectType<string>(spawn.quote(['test'], {shell: 'cmd'}));
+expectType<string>(spawn.quote(['test'], {shell: 'powershell'}));
+expectType<string>(spawn.create({}).quote(['test'], {}));
+expectAssignable<QuoteOptions>({shell: 'cmd'});
+expectError(spawn.quote('test'));
+expectError(spawn.quote([secret('token')]));
+expectError(spawn.quote(['test'], {shell: 'bash'}));
+
+await spawn('test', {errorLines: 5});
+await spawn('test', {errorLines: Number.POSITIVE_INFINITY});
+expectError(await spawn('test', {errorLines: '5'}));
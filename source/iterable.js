@@ -1,4 +1,12 @@
-export const lineIterator = async function * (subprocess, {state}, streamName) {
+import {getDecoder} from './encoding.js';
+import {getOutputLogger} from './verbose.js';
+import {markOutput} from './performance.js';
+import {validateIterationRetry} from './retry.js';
+
+export const lineIterator = async function * (subprocess, context, streamName) {
+	const {state, encoding} = context;
+	validateIterationRetry(context);
+
 	// Prevent buffering when iterating.
 	// This would defeat one of the main goals of iterating: low memory consumption.
 	if (state.isIterating === false) {
@@ -14,15 +22,21 @@ export const lineIterator = async function * (subprocess, {state}, streamName) {
 			return;
 		}
 
+		const decoder = getDecoder(encoding);
+		const outputLogger = getOutputLogger(context);
 		let buffer = '';
 		for await (const chunk of stream.iterator({destroyOnReturn: false})) {
-			const lines = `${buffer}${chunk}`.split(/\r?\n/);
+			markOutput(context);
+			outputLogger.write(chunk);
+			const lines = `${buffer}${decoder.write(chunk)}`.split(/\r?\n/);
 			buffer = lines.pop(); // Keep last line in buffer as it may not be complete
-			yield * lines;
+			yield * lines.map(line => context.redactOutput(line));
 		}
 
+		outputLogger.end();
+		buffer += decoder.end();
 		if (buffer) {
-			yield buffer; // Yield any remaining data as the last line
+			yield context.redactOutput(buffer); // Yield any remaining data as the last line
 		}
 	} finally {
 		await subprocess;
@@ -0,0 +1,121 @@
+import {getDescendants, signalDescendants, waitForDescendants} from './process-tree.js';
+
+// Unlike the `timeout` option of `node:child_process`, this sets `error.timedOut` and escalates to `SIGKILL`
+export const handleTimeout = (instance, {timeout, ...options}, {state}) => {
+	if (timeout > 0) {
+		const timer = setTimeout(() => {
+			state.timedOut = true;
+			state.termination = terminate(instance, options);
+		}, timeout);
+		instance.once('close', () => {
+			clearTimeout(timer);
+		});
+	}
+};
+
+export const validateTimeout = ({timeout = 0}) => {
+	if (!isDelay(timeout)) {
+		throw new TypeError(`The "timeout" option must be a non-negative integer, not ${timeout}.`);
+	}
+};
+
+export const validateForceKillAfterDelay = ({forceKillAfterDelay = 0}) => {
+	if (forceKillAfterDelay !== false && !isDelay(forceKillAfterDelay)) {
+		throw new TypeError(`The "forceKillAfterDelay" option must be a non-negative integer or false, not ${forceKillAfterDelay}.`);
+	}
+};
+
+const isDelay = delay => Number.isInteger(delay) && delay >= 0;
+
+// Unlike the `signal` option of `node:child_process`, this sets `error.isCanceled` and keeps `cancelSignal.reason` as `error.cause`
+export const handleCancel = (instance, {cancelSignal, ...options}, context) => {
+	if (cancelSignal === undefined) {
+		return;
+	}
+
+	const onAbort = () => {
+		cancelInstance(instance, options, context, cancelSignal.reason);
+	};
+
+	if (cancelSignal.aborted) {
+		onAbort();
+		return;
+	}
+
+	cancelSignal.addEventListener('abort', onAbort, {once: true});
+	instance.once('close', () => {
+		cancelSignal.removeEventListener('abort', onAbort);
+	});
+};
+
+// Canceling a `.pipe()` destination also cancels its sources, which might use a different `cancelSignal` or none
+export const cancelSubprocess = async (nodeChildProcess, options, context, reason) => {
+	let instance;
+	try {
+		instance = await nodeChildProcess;
+	} catch {
+		// The subprocess failed to spawn, so there is nothing to cancel
+		return;
+	}
+
+	cancelInstance(instance, options, context, reason);
+};
+
+// Subprocesses that already exited or were already canceled are left as is
+const cancelInstance = (instance, options, {state}, reason) => {
+	if (state.isCanceled || instance.exitCode !== null || instance.signalCode !== null) {
+		return;
+	}
+
+	state.isCanceled = true;
+	state.cancelReason = reason;
+	state.termination = terminate(instance, options);
+};
+
+// Unlike `nodeChildProcess.kill()`, this escalates to `SIGKILL` and waits for the subprocess to exit.
+// Both `subprocess.kill(signal, options)` and `subprocess.kill(options)` are allowed.
+// `null` is treated like `undefined`.
+export const killSubprocess = async (nodeChildProcess, options, [first, second]) => {
+	const [signal = options.killSignal, {tree = options.killTree} = {}] = first !== null && typeof first === 'object'
+		? [undefined, first]
+		: [first ?? undefined, second ?? undefined];
+	let instance;
+	try {
+		instance = await nodeChildProcess;
+	} catch {
+		// The subprocess failed to spawn, so there is nothing to kill
+		return;
+	}
+
+	await terminate(instance, {...options, killSignal: signal, killTree: tree});
+};
+
+// Send `killSignal`, then `SIGKILL` if the subprocess is still running after `forceKillAfterDelay` milliseconds.
+// This handles subprocesses that handle or ignore `SIGTERM`.
+// With `killTree`, the same applies to all of the subprocess's descendants.
+// Resolves once they have all exited.
+export const terminate = async (instance, {killSignal, forceKillAfterDelay = 5e3, killTree = false}) => {
+	const descendants = killTree ? await getDescendants(instance.pid) : [];
+	const sendSignal = signal => {
+		instance.kill(signal);
+		signalDescendants(descendants, signal);
+	};
+
+	sendSignal(killSignal);
+	const timer = forceKillAfterDelay === false
+		? undefined
+		: setTimeout(() => {
+			sendSignal('SIGKILL');
+		}, forceKillAfterDelay);
+	await Promise.all([waitForExit(instance), waitForDescendants(descendants)]);
+	clearTimeout(timer);
+};
+
+// Unlike `once()`, this does not reject on `error` events
+const waitForExit = async instance => {
+	if (instance.exitCode === null && instance.signalCode === null) {
+		await new Promise(resolve => {
+			instance.once('exit', resolve);
+		});
+	}
+};
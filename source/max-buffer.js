@@ -0,0 +1,176 @@
+import {concatChunks} from './encoding.js';
+
+// Buffer `chunk` in both `state[streamName]` and `state.output`, while applying the `maxBuffer` option.
+// Returns whether the subprocess should be terminated.
+export const addChunk = ({state, encoding}, streamName, chunk, maxBuffer) => {
+	if (maxBuffer === undefined) {
+		state[streamName].push(chunk);
+		state.output.push(chunk);
+		return false;
+	}
+
+	// Once the limit has been reached with `keep: 'error'`, the output is truncated
+	if (state.isMaxBuffer) {
+		return false;
+	}
+
+	const maxBufferObject = getMaxBuffer(maxBuffer);
+	for (const bufferName of [streamName, 'output']) {
+		addBufferChunk({state, encoding}, bufferName, chunk, maxBufferObject);
+	}
+
+	return state.isMaxBuffer;
+};
+
+export const validateMaxBuffer = ({maxBuffer}) => {
+	if (maxBuffer === undefined || isLimit(maxBuffer)) {
+		return;
+	}
+
+	if (typeof maxBuffer !== 'object' || maxBuffer === null) {
+		throw new TypeError(`The "maxBuffer" option must be a non-negative integer or an object, not ${maxBuffer}.`);
+	}
+
+	const {size, lines, keep = 'error'} = maxBuffer;
+	for (const [propertyName, value] of Object.entries({size, lines})) {
+		if (value !== undefined && !isLimit(value)) {
+			throw new TypeError(`The "maxBuffer.${propertyName}" option must be a non-negative integer, not ${value}.`);
+		}
+	}
+
+	if (size === undefined && lines === undefined) {
+		throw new TypeError('The "maxBuffer" option must have a "size" or "lines" property.');
+	}
+
+	if (!['error', 'tail'].includes(keep)) {
+		throw new TypeError(`The "maxBuffer.keep" option must be "error" or "tail", not "${keep}".`);
+	}
+};
+
+const isLimit = value => Number.isInteger(value) && value >= 0;
+
+const getMaxBuffer = maxBuffer => typeof maxBuffer === 'number'
+	? {size: maxBuffer, keep: 'error'}
+	: {keep: 'error', ...maxBuffer};
+
+// The length and number of newlines of each buffer are kept up-to-date, so that chunks are only concatenated once the limit is reached.
+// The limit applies to `stdout` and `stderr`. `output` is truncated to the same limit, but does not make the subprocess fail.
+const addBufferChunk = ({state, encoding}, bufferName, chunk, maxBuffer) => {
+	state.bufferSizes ??= {};
+	state.bufferSizes[bufferName] ??= {
+		length: 0,
+		newlines: 0,
+		maxBuffer,
+		isFull: false,
+	};
+	const bufferSize = state.bufferSizes[bufferName];
+	// The decoder returns an empty string when a chunk ends in the middle of a multibyte sequence
+	if (bufferSize.isFull || chunk.length === 0) {
+		return;
+	}
+
+	state[bufferName].push(chunk);
+	bufferSize.length += chunk.length;
+	bufferSize.newlines += countNewlines(chunk, maxBuffer);
+
+	if (maxBuffer.keep === 'tail') {
+		trimTail({state, encoding}, bufferName, bufferSize);
+		return;
+	}
+
+	if (!isOverLimit(bufferSize, chunk, maxBuffer)) {
+		return;
+	}
+
+	const value = concatChunks(state[bufferName], encoding);
+	state[bufferName] = [value.slice(0, Math.min(maxBuffer.size ?? value.length, getLinesEnd(value, maxBuffer.lines)))];
+	bufferSize.isFull = true;
+	if (bufferName !== 'output') {
+		state.isMaxBuffer = true;
+		state.maxBufferName ??= bufferName;
+	}
+};
+
+// Newlines are only counted when the `lines` limit is used, for performance
+const countNewlines = (chunk, {lines}) => {
+	if (lines === undefined) {
+		return 0;
+	}
+
+	const newline = getNewline(chunk);
+	let count = 0;
+	for (let index = chunk.indexOf(newline); index !== -1; index = chunk.indexOf(newline, index + 1)) {
+		count += 1;
+	}
+
+	return count;
+};
+
+// A trailing newline ends the last line, as opposed to starting a new one
+const isOverLimit = ({length, newlines}, lastChunk, {size = Number.POSITIVE_INFINITY, lines = Number.POSITIVE_INFINITY}) => length > size
+	|| newlines > lines
+	|| (newlines === lines && length > 0 && !isNewline(lastChunk.at(-1)));
+
+// With `keep: 'tail'`, the beginning of the buffer is only dropped once it is twice as large as the limit.
+// This ensures each chunk is only concatenated a few times. `getBufferedOutput()` then applies the exact limit.
+const trimTail = ({state, encoding}, bufferName, bufferSize) => {
+	const {length, newlines, maxBuffer: {size, lines}} = bufferSize;
+	if ((size === undefined || length <= size * 2) && (lines === undefined || newlines <= (lines + 1) * 2)) {
+		return;
+	}
+
+	const value = getTail(concatChunks(state[bufferName], encoding), bufferSize.maxBuffer);
+	state[bufferName] = [value];
+	bufferSize.length = value.length;
+	bufferSize.newlines = countNewlines(value, bufferSize.maxBuffer);
+};
+
+// Final value of `result.stdout`, `result.stderr` or `result.output`, which also applies the exact limit of `maxBuffer.keep: 'tail'`
+export const getBufferedOutput = ({state, encoding}, bufferName) => {
+	const value = concatChunks(state[bufferName], encoding);
+	const maxBuffer = state.bufferSizes?.[bufferName]?.maxBuffer;
+	return maxBuffer?.keep === 'tail' ? getTail(value, maxBuffer) : value;
+};
+
+const getTail = (value, {size = value.length, lines}) => value.slice(Math.max(value.length - size, getLinesStart(value, lines)));
+
+// Index of the first character of the last `lines` lines.
+// A trailing newline ends the last line, as opposed to starting a new one.
+const getLinesStart = (value, lines) => {
+	if (lines === undefined) {
+		return 0;
+	}
+
+	let index = isNewline(value.at(-1)) ? value.length - 1 : value.length;
+	for (let count = 0; count < lines; count += 1) {
+		if (index <= 0) {
+			return 0;
+		}
+
+		index = value.lastIndexOf(getNewline(value), index - 1);
+	}
+
+	return index + 1;
+};
+
+// Index right after the first `lines` lines
+const getLinesEnd = (value, lines) => {
+	if (lines === undefined) {
+		return value.length;
+	}
+
+	let index = -1;
+	for (let count = 0; count < lines; count += 1) {
+		index = value.indexOf(getNewline(value), index + 1);
+		if (index === -1) {
+			return value.length;
+		}
+	}
+
+	return index + 1;
+};
+
+// With `encoding: 'buffer'`, `value` is an `Uint8Array`
+const getNewline = value => typeof value === 'string' ? '\n' : NEWLINE_BYTE;
+const isNewline = character => character === '\n' || character === NEWLINE_BYTE;
+const NEWLINE_BYTE = 0x0A;
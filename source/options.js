@@ -14,7 +14,7 @@ export const getOptions = ({
 }) => {
 	const cwd = cwdOption instanceof URL ? fileURLToPath(cwdOption) : path.resolve(cwdOption);
 	const env = envOption ? {...process.env, ...envOption} : undefined;
-	const input = stdio[0]?.string;
+	const input = getInput(stdio[0]);
 	return {
 		...options,
 		input,
@@ -24,6 +24,39 @@ export const getOptions = ({
 	};
 };
 
+// Used by `spawn.create()`. Options that are objects, such as environment variables, are merged one level deep instead of replaced.
+export const mergeOptions = (defaults, options) => {
+	const mergedOptions = {...defaults, ...options};
+	for (const optionName of MERGED_OPTIONS) {
+		if (isObject(defaults[optionName]) && isObject(options[optionName])) {
+			mergedOptions[optionName] = {...defaults[optionName], ...options[optionName]};
+		}
+	}
+
+	return mergedOptions;
+};
+
+// Other object options, like `stdin: {string}` and `stdin: {file}`, are alternatives, so they must not be merged
+const MERGED_OPTIONS = ['env', 'retry', 'maxBuffer'];
+
+const isObject = value => typeof value === 'object' && value !== null;
+
+// A subprocess has both `.pipe()` and an async iterator, but neither can be used as input: the iterator yields lines without their newlines.
+// Also, the subprocess's failures would not be handled.
+export const validateStdin = ({stdio}) => {
+	if (Array.isArray(stdio) && isSubprocess(stdio[0])) {
+		throw new TypeError('The "stdin" option cannot be a subprocess: please use "subprocess.pipe()" instead.');
+	}
+};
+
+const isSubprocess = stdin => typeof stdin?.nodeChildProcess?.then === 'function';
+
+// Those `stdin` values are written to `subprocess.stdin`
+const getInput = stdin => stdin?.string ?? stdin?.bytes ?? (isAsyncIterable(stdin) ? stdin : undefined);
+
+// Streams are passed to `node:child_process` instead
+const isAsyncIterable = stdin => typeof stdin?.[Symbol.asyncIterator] === 'function' && typeof stdin.pipe !== 'function';
+
 const addLocalPath = ({Path = '', PATH = Path, ...env}, cwd) => {
 	const pathParts = PATH.split(path.delimiter);
 	const localPaths = getLocalPaths([], path.resolve(cwd))
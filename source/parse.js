@@ -0,0 +1,36 @@
+import {getResultError, getText, SubprocessError} from './result.js';
+
+// Parse the whole `stdout` as JSON
+export const parseJson = async (subprocess, context) => {
+	const {stdout} = await subprocess;
+	try {
+		return JSON.parse(getText(stdout));
+	} catch (error) {
+		throw getResultError(new SubprocessError(`Command's stdout is not valid JSON: ${context.command}`, {cause: error}), {}, context);
+	}
+};
+
+export const getLines = async subprocess => {
+	const {stdout} = await subprocess;
+	const text = getText(stdout);
+	return text === '' ? [] : text.split(/\r?\n/);
+};
+
+// Parse each line as JSON, for NDJSON producers
+export const jsonIterator = async function * (lines, context, streamName) {
+	let lineNumber = 0;
+	for await (const line of lines) {
+		lineNumber++;
+		if (line.trim() !== '') {
+			yield parseJsonLine(line, lineNumber, context, streamName);
+		}
+	}
+};
+
+const parseJsonLine = (line, lineNumber, context, streamName) => {
+	try {
+		return JSON.parse(line);
+	} catch (error) {
+		throw getResultError(new SubprocessError(`Command's ${streamName} line ${lineNumber} is not valid JSON: ${context.command}\n${line}`, {cause: error}), {}, context);
+	}
+};
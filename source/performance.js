@@ -0,0 +1,45 @@
+import {performance} from 'node:perf_hooks';
+
+// With the `performance` option, each subprocess adds entries to the Performance Timeline, named after its command:
+//  - A mark when it spawns
+//  - A measure once it completes, spanning all of its attempts
+export const markSpawn = ({command, state}, instance, {performance: isEnabled = false}) => {
+	state.pid = instance.pid;
+	state.spawnTime = performance.now();
+	if (isEnabled) {
+		performance.mark(command, {detail: {pid: instance.pid}});
+	}
+};
+
+// Used to compute the latency between the subprocess spawning and its first output
+export const markOutput = ({state}) => {
+	state.firstOutputTime ??= performance.now();
+};
+
+export const measureSubprocess = (result, {performance: isEnabled = false}, context) => isEnabled
+	? measureAsync(result, context)
+	: result;
+
+const measureAsync = async (result, context) => {
+	try {
+		const value = await result;
+		measure(context, value, {failed: false, exitCode: 0});
+		return value;
+	} catch (error) {
+		measure(context, error, {failed: true, exitCode: error.exitCode, signalName: error.signalName});
+		throw error;
+	}
+};
+
+const measure = ({command, state: {pid, spawnTime, firstOutputTime}}, {durationMs}, status) => {
+	const end = performance.now();
+	performance.measure(command, {
+		start: end - durationMs,
+		end,
+		detail: {
+			pid,
+			...status,
+			firstOutputMs: firstOutputTime === undefined ? undefined : firstOutputTime - spawnTime,
+		},
+	});
+};
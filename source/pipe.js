@@ -1,36 +1,88 @@
-import {pipeline} from 'node:stream/promises';
+import {PassThrough} from 'node:stream';
+import {pipeline, finished} from 'node:stream/promises';
+import {setPipeline} from './result.js';
 
-export const handlePipe = async subprocesses => {
-	// Ensure both subprocesses have exited before resolving, and that we handle errors from both
-	const [[from, to]] = await Promise.all([Promise.allSettled(subprocesses), pipeStreams(subprocesses)]);
+export const handlePipe = async (subprocesses, {from: fromOption = 'stdout', pipefail = 'all', cancelSignal}, {isTee, cancelSources}) => {
+	const removeListener = onDestinationCancel(cancelSignal, cancelSources);
+	let settled;
+	try {
+		// Ensure both subprocesses have exited before resolving, and that we handle errors from both
+		[settled] = await Promise.all([Promise.allSettled(subprocesses), pipeStreams(subprocesses, fromOption, pipefail, isTee)]);
+	} finally {
+		removeListener();
+	}
+
+	const [from, to] = settled;
 
 	// If both subprocesses fail, throw destination error to use a predictable order and avoid race conditions
 	if (to.reason) {
 		to.reason.pipedFrom = from.reason ?? from.value;
+		setPipeline(to.reason, [...to.reason.pipedFrom.pipeline, to.reason]);
 		throw to.reason;
 	}
 
-	if (from.reason) {
+	if (from.reason && shouldPipefail(from.reason, pipefail)) {
 		throw from.reason;
 	}
 
-	return {...to.value, pipedFrom: from.value};
+	// Ignored source failures are still available as `result.pipedFrom` and `result.pipeline`
+	const pipedFrom = from.reason ?? from.value;
+	const result = {...to.value, pipedFrom};
+	return setPipeline(result, [...pipedFrom.pipeline, result]);
 };
 
-const pipeStreams = async subprocesses => {
+// Canceling the destination also cancels the sources, otherwise they would keep running, and the pipeline would not settle until they exit
+const onDestinationCancel = (cancelSignal, cancelSources) => {
+	if (cancelSignal === undefined) {
+		return () => {};
+	}
+
+	const onAbort = () => {
+		cancelSources(cancelSignal.reason);
+	};
+
+	if (cancelSignal.aborted) {
+		onAbort();
+		return () => {};
+	}
+
+	cancelSignal.addEventListener('abort', onAbort, {once: true});
+	return () => {
+		cancelSignal.removeEventListener('abort', onAbort);
+	};
+};
+
+// Like `set -o pipefail` in shells, decide whether a source failure makes the pipeline fail
+const shouldPipefail = (error, pipefail) => typeof pipefail === 'function'
+	? Boolean(pipefail(error))
+	: pipefail === 'all';
+
+const validatePipefail = pipefail => {
+	if (!['all', 'last'].includes(pipefail) && typeof pipefail !== 'function') {
+		throw new TypeError(`The "pipefail" option must be "all", "last" or a function, not "${pipefail}".`);
+	}
+};
+
+// Pipe the same output to several destinations, like the `tee` command.
+// Each destination's result or error is returned, so that one failing destination does not hide the others.
+export const teeSubprocess = async (destinations, pipeDestination) => {
+	const results = await Promise.allSettled(destinations.map(destination => pipeDestination(destination)));
+	return results.map(({value, reason}) => reason ?? value);
+};
+
+const pipeStreams = async (subprocesses, fromOption, pipefail, isTee) => {
 	try {
-		const [{stdout}, {stdin}] = await Promise.all(subprocesses.map(({nodeChildProcess}) => nodeChildProcess));
+		validatePipefail(pipefail);
+		const [source, {stdin}] = await Promise.all(subprocesses.map(({nodeChildProcess}) => nodeChildProcess));
 		if (stdin === null) {
 			throw new Error('The "stdin" option must be set on the first "spawn()" call in the pipeline.');
 		}
 
-		if (stdout === null) {
-			throw new Error('The "stdout" option must be set on the last "spawn()" call in the pipeline.');
-		}
-
+		const streams = getSourceStreams(source, fromOption);
+		const sourceStream = streams.length === 1 ? streams[0] : mergeStreams(streams);
 		// Do not `await` nor handle stream errors since this is already done by each subprocess
 		// eslint-disable-next-line promise/prefer-await-to-then
-		pipeline(stdout, stdin).catch(() => {});
+		pipeline(isTee ? sourceStream.pipe(new PassThrough()) : sourceStream, stdin).catch(() => {});
 	} catch (error) {
 		await Promise.allSettled(subprocesses.map(({nodeChildProcess}) => closeStdin(nodeChildProcess)));
 		throw error;
@@ -41,3 +93,37 @@ const closeStdin = async nodeChildProcess => {
 	const {stdin} = await nodeChildProcess;
 	stdin.end();
 };
+
+const getSourceStreams = (source, fromOption) => {
+	if (!SOURCE_STREAMS.has(fromOption)) {
+		throw new TypeError(`The "from" option must be "stdout", "stderr" or "all", not "${fromOption}".`);
+	}
+
+	const streamNames = SOURCE_STREAMS.get(fromOption);
+	const missingStreamName = streamNames.find(streamName => source[streamName] === null);
+	if (missingStreamName !== undefined) {
+		throw new Error(`The "${missingStreamName}" option must be set on the last "spawn()" call in the pipeline.`);
+	}
+
+	return streamNames.map(streamName => source[streamName]);
+};
+
+const SOURCE_STREAMS = new Map([
+	['stdout', ['stdout']],
+	['stderr', ['stderr']],
+	['all', ['stdout', 'stderr']],
+]);
+
+// Like `2>&1`, interleaves both streams, then ends once both have ended
+const mergeStreams = streams => {
+	const passThrough = new PassThrough();
+	for (const stream of streams) {
+		stream.pipe(passThrough, {end: false});
+	}
+
+	// eslint-disable-next-line promise/prefer-await-to-then
+	Promise.allSettled(streams.map(stream => finished(stream))).then(() => {
+		passThrough.end();
+	});
+	return passThrough;
+};
@@ -0,0 +1,107 @@
+import {SubprocessError} from './result.js';
+
+export const createPool = ({concurrency} = {}) => {
+	if (!(Number.isInteger(concurrency) || concurrency === Number.POSITIVE_INFINITY) || concurrency < 1) {
+		throw new TypeError(`The "concurrency" option must be a positive integer, not ${concurrency}.`);
+	}
+
+	return {
+		concurrency,
+		running: 0,
+		queue: [],
+		idleCallbacks: [],
+	};
+};
+
+export const getPoolMethods = pool => ({
+	get pending() {
+		return pool.queue.length;
+	},
+	get running() {
+		return pool.running;
+	},
+	onIdle: () => isIdle(pool)
+		? Promise.resolve()
+		: new Promise(resolve => {
+			pool.idleCallbacks.push(resolve);
+		}),
+	// Subprocesses that already started are not affected
+	clear() {
+		for (const item of pool.queue.splice(0)) {
+			item.cancel(new Error('The pool was cleared.'));
+		}
+
+		checkIdle(pool);
+	},
+});
+
+// Waits until fewer than `concurrency` subprocesses are running.
+// Returns a function that frees the slot, which must be called once the subprocess has exited.
+export const acquireSlot = async ({pool, command, state}, {cancelSignal}) => {
+	if (pool === undefined) {
+		return () => {};
+	}
+
+	if (pool.running < pool.concurrency) {
+		pool.running += 1;
+	} else {
+		await waitForSlot(pool, cancelSignal, {command, state});
+	}
+
+	let isReleased = false;
+	return () => {
+		if (!isReleased) {
+			isReleased = true;
+			releaseSlot(pool);
+		}
+	};
+};
+
+// Queued subprocesses can be canceled with `cancelSignal` before they start
+const waitForSlot = (pool, cancelSignal, {command, state}) => new Promise((resolve, reject) => {
+	const item = {
+		start() {
+			cancelSignal?.removeEventListener('abort', onAbort);
+			resolve();
+		},
+		cancel(cause) {
+			cancelSignal?.removeEventListener('abort', onAbort);
+			state.isCanceled = true;
+			reject(new SubprocessError(`Command was canceled: ${command}`, {cause}));
+		},
+	};
+
+	const onAbort = () => {
+		pool.queue.splice(pool.queue.indexOf(item), 1);
+		item.cancel(cancelSignal.reason);
+	};
+
+	if (cancelSignal?.aborted) {
+		item.cancel(cancelSignal.reason);
+		return;
+	}
+
+	pool.queue.push(item);
+	cancelSignal?.addEventListener('abort', onAbort, {once: true});
+});
+
+// The slot is handed over to the next queued subprocess, so that it cannot be taken by a new one in between
+const releaseSlot = pool => {
+	const next = pool.queue.shift();
+	if (next === undefined) {
+		pool.running -= 1;
+		checkIdle(pool);
+	} else {
+		next.start();
+	}
+};
+
+const isIdle = ({running, queue}) => running === 0 && queue.length === 0;
+
+const checkIdle = pool => {
+	if (isIdle(pool)) {
+		for (const resolve of pool.idleCallbacks.splice(0)) {
+			resolve();
+		}
+	}
+};
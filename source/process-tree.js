@@ -0,0 +1,80 @@
+import {readdir, readFile} from 'node:fs/promises';
+import {setTimeout} from 'node:timers/promises';
+import process from 'node:process';
+
+// Process ids of all the descendants of `pid`, read from `/proc`.
+// This is only supported on Linux. Other platforms only terminate the direct subprocess.
+export const getDescendants = async pid => {
+	if (process.platform !== 'linux' || pid === undefined) {
+		return [];
+	}
+
+	const childrenMap = await getChildrenMap();
+	const descendants = [];
+	for (let parents = [pid]; parents.length > 0;) {
+		parents = parents.flatMap(parent => childrenMap.get(parent) ?? []);
+		descendants.push(...parents);
+	}
+
+	return descendants;
+};
+
+const getChildrenMap = async () => {
+	const files = await readdir('/proc');
+	const pids = files.filter(name => /^\d+$/.test(name));
+	const stats = await Promise.all(pids.map(pid => readStat(pid)));
+	const childrenMap = new Map();
+	for (const {pid, parentPid} of stats.filter(Boolean)) {
+		childrenMap.set(parentPid, [...(childrenMap.get(parentPid) ?? []), pid]);
+	}
+
+	return childrenMap;
+};
+
+const readStat = async pid => {
+	const fields = await readStatFields(pid);
+	if (fields !== undefined) {
+		const [state, parentPid] = fields;
+		return {pid: Number(pid), parentPid: Number(parentPid), state};
+	}
+};
+
+// `/proc/{pid}/stat` is `pid (command) state parentPid ...`.
+// The command can include spaces and parentheses, so we parse from the last `)`.
+// Returns the fields starting at `state`, or `undefined` if the process exited.
+export const readStatFields = async pid => {
+	try {
+		const stat = await readFile(`/proc/${pid}/stat`, 'utf8');
+		return stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+	} catch {}
+};
+
+export const signalDescendants = (descendants, signal) => {
+	for (const pid of descendants) {
+		try {
+			process.kill(pid, signal);
+		} catch {
+			// The process already exited
+		}
+	}
+};
+
+// Zombie processes have exited, but are waiting for their parent to read their exit code
+export const waitForDescendants = async descendants => {
+	let pids = descendants;
+	while (pids.length > 0) {
+		// eslint-disable-next-line no-await-in-loop
+		await setTimeout(DESCENDANTS_INTERVAL);
+		// eslint-disable-next-line no-await-in-loop
+		pids = await getAlivePids(pids);
+	}
+};
+
+const DESCENDANTS_INTERVAL = 50;
+
+const getAlivePids = async pids => {
+	const stats = await Promise.all(pids.map(pid => readStat(pid)));
+	return stats
+		.filter(stat => stat !== undefined && stat.state !== 'Z')
+		.map(({pid}) => pid);
+};
@@ -0,0 +1,47 @@
+import {escapeFile, escapeArgument, quoteArgument} from './windows.js';
+
+// Escape a `[file, ...arguments]` command so it can be pasted into a shell
+export const quote = (command, {shell = 'posix'} = {}) => {
+	if (!Array.isArray(command) || !command.every(part => typeof part === 'string')) {
+		throw new TypeError(`The command must be an array of strings, not ${command}.`);
+	}
+
+	const quoteCommand = SHELLS.get(shell);
+	if (quoteCommand === undefined) {
+		throw new TypeError(`The "shell" option must be "posix", "cmd" or "powershell", not "${shell}".`);
+	}
+
+	return command.length === 0 ? '' : quoteCommand(command).join(' ');
+};
+
+// Single quotes prevent any expansion in `sh`, `bash` and `zsh`, including of newlines
+export const quotePosix = part => SAFE_PART.test(part)
+	? part
+	: `'${part.replaceAll('\'', '\'\\\'\'')}'`;
+
+// PowerShell also treats typographic single quotes as quotes.
+// Quoting the file requires the `&` call operator, otherwise it would be a string expression.
+const quotePowerShell = ([file, ...commandArguments]) => [
+	SAFE_PART.test(file) ? file : `& ${quotePowerShellPart(file)}`,
+	...commandArguments.map(commandArgument => SAFE_PART.test(commandArgument) ? commandArgument : quotePowerShellPart(commandArgument)),
+];
+
+const quotePowerShellPart = part => `'${part.replaceAll(/['‘’‚‛]/g, '$&$&')}'`;
+
+// `*.cmd` and `*.bat` files parse their arguments a second time, so those are escaped twice, like when `shell: true` is forced on Windows.
+// Other files only parse them once.
+const quoteCmd = ([file, ...commandArguments]) => {
+	const escapeCmdArgument = BATCH_FILE.test(file) ? escapeArgument : commandArgument => escapeFile(quoteArgument(commandArgument));
+	return [escapeFile(file), ...commandArguments.map(commandArgument => escapeCmdArgument(commandArgument))];
+};
+
+const BATCH_FILE = /\.(?:cmd|bat)$/i;
+
+// Empty strings must be quoted, otherwise they would be omitted
+const SAFE_PART = /^[\w./-]+$/;
+
+const SHELLS = new Map([
+	['posix', command => command.map(part => quotePosix(part))],
+	['cmd', quoteCmd],
+	['powershell', quotePowerShell],
+]);
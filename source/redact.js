@@ -0,0 +1,58 @@
+const SECRET = Symbol('secret');
+
+// Command argument that is automatically redacted from `result.command`, error messages and logs
+export const secret = value => {
+	if (typeof value !== 'string') {
+		throw new TypeError(`The secret must be a string, not ${typeof value}.`);
+	}
+
+	return createSecret(value, [value]);
+};
+
+// `secrets` are the values to redact, which can be a subset of `value`, e.g. with `` spawn.$`--token=${secret(token)}` ``
+export const createSecret = (value, secrets) => Object.freeze({[SECRET]: {value, secrets}});
+
+export const isSecret = value => typeof value === 'object' && value !== null && SECRET in value;
+
+export const getSecretValue = value => value[SECRET].value;
+
+export const getSecrets = value => isSecret(value) ? value[SECRET].secrets : [];
+
+// Secrets are passed to `node:child_process` as normal strings
+export const normalizeArguments = commandArguments => ({
+	commandArguments: commandArguments.map(commandArgument => isSecret(commandArgument) ? getSecretValue(commandArgument) : commandArgument),
+	secrets: commandArguments.flatMap(commandArgument => getSecrets(commandArgument)),
+});
+
+export const validateRedact = ({redact = []}) => {
+	if (typeof redact !== 'function' && !(Array.isArray(redact) && redact.every(pattern => isPattern(pattern)))) {
+		throw new TypeError(`The "redact" option must be an array of strings and regular expressions, or a function, not ${redact}.`);
+	}
+};
+
+const isPattern = pattern => typeof pattern === 'string' || pattern instanceof RegExp;
+
+// Invalid `redact` options are ignored here, since they are validated by `validateRedact()` once spawning
+export const getRedact = ({redact = [], redactOutput = false}, secrets) => {
+	const patterns = [...(Array.isArray(redact) ? redact : []), ...secrets].filter(pattern => isPattern(pattern) && pattern !== '');
+	const redactText = text => {
+		let redactedText = text;
+		for (const pattern of patterns) {
+			redactedText = replacePattern(redactedText, pattern);
+		}
+
+		return typeof redact === 'function' ? redact(redactedText) : redactedText;
+	};
+
+	return {
+		redact: redactText,
+		// With `encoding: 'buffer'`, the output is not redacted
+		redactOutput: output => redactOutput && typeof output === 'string' ? redactText(output) : output,
+	};
+};
+
+const replacePattern = (text, pattern) => typeof pattern === 'string'
+	? text.replaceAll(pattern, REDACTED)
+	: text.replaceAll(new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`), REDACTED);
+
+const REDACTED = '***';
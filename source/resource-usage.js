@@ -0,0 +1,57 @@
+import {readFile} from 'node:fs/promises';
+import process from 'node:process';
+import {readStatFields} from './process-tree.js';
+
+// The resource usage of a subprocess cannot be retrieved once it has exited.
+// So, on Linux, it is sampled from `/proc` while the subprocess is running.
+// Since this is approximate and reads files periodically, it requires the `resourceUsage` option.
+// Like `process.resourceUsage()`, CPU times are in microseconds and `maxRSS` is in kilobytes.
+export const watchResourceUsage = (instance, {state}, {resourceUsage: isEnabled = false}) => {
+	if (!isEnabled || process.platform !== 'linux') {
+		return;
+	}
+
+	const sample = async () => {
+		const resourceUsage = await readResourceUsage(instance.pid);
+		if (resourceUsage !== undefined) {
+			state.resourceUsage = resourceUsage;
+		}
+	};
+
+	sample();
+	const interval = setInterval(sample, SAMPLE_INTERVAL);
+	instance.once('exit', () => {
+		clearInterval(interval);
+	});
+};
+
+const SAMPLE_INTERVAL = 1e2;
+
+const readResourceUsage = async pid => {
+	const [statFields, status] = await Promise.all([readStatFields(pid), readStatus(pid)]);
+	if (statFields === undefined || status === undefined) {
+		return;
+	}
+
+	return {
+		userCPUTime: Number(statFields[UTIME_INDEX]) * MICROSECONDS_PER_TICK,
+		systemCPUTime: Number(statFields[STIME_INDEX]) * MICROSECONDS_PER_TICK,
+		maxRSS: Number.parseInt(status.VmHWM, 10),
+		voluntaryContextSwitches: Number(status.voluntary_ctxt_switches),
+		involuntaryContextSwitches: Number(status.nonvoluntary_ctxt_switches),
+	};
+};
+
+// Indexes of `utime` and `stime` in `/proc/{pid}/stat`, starting at `state`
+const UTIME_INDEX = 11;
+const STIME_INDEX = 12;
+// `USER_HZ` is 100 on virtually all Linux systems
+const MICROSECONDS_PER_TICK = 1e4;
+
+// `/proc/{pid}/status` is made of `Name:\tvalue` lines
+const readStatus = async pid => {
+	try {
+		const status = await readFile(`/proc/${pid}/status`, 'utf8');
+		return Object.fromEntries(status.split('\n').map(line => line.split(':\t')));
+	} catch {}
+};
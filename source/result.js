@@ -1,37 +1,77 @@
 import {once, on} from 'node:events';
 import process from 'node:process';
+import {pipeline} from 'node:stream/promises';
+import {handleTimeout, handleCancel} from './kill.js';
+import {getBufferedOutput} from './max-buffer.js';
+import {handleCleanup} from './cleanup.js';
 
-export const getResult = async (nodeChildProcess, {input}, context) => {
+export const getResult = async (nodeChildProcess, options, context) => {
 	const instance = await nodeChildProcess;
-	if (input !== undefined) {
-		instance.stdin.end(input);
-	}
+	handleTimeout(instance, options, context);
+	handleCancel(instance, options, context);
+	handleCleanup(instance, options);
 
 	const onClose = once(instance, 'close');
 
 	try {
 		await Promise.race([
-			onClose,
+			Promise.all([onClose, writeInput(instance, options)]),
 			...instance.stdio.filter(Boolean).map(stream => onStreamError(stream)),
 		]);
-		checkFailure(context, getErrorOutput(instance));
-		return getOutputs(context);
+		checkFailure(context, getErrorOutput(instance), options);
+		return addPipeline(getOutputs(context));
 	} catch (error) {
-		await Promise.allSettled([onClose]);
+		// With the `killTree` option, this also waits for the subprocess's descendants to exit
+		await Promise.allSettled([onClose, context.state.termination]);
 		throw getResultError(error, instance, context);
 	}
 };
 
+// Async iterables are written with backpressure
+const writeInput = async ({stdin}, {input}) => {
+	if (input === undefined) {
+		return;
+	}
+
+	if (typeof input === 'string' || input instanceof Uint8Array) {
+		stdin.end(input);
+		return;
+	}
+
+	try {
+		await pipeline(input, stdin);
+	} catch (error) {
+		// Errors coming from `stdin` are handled by `onStreamError()`
+		if (!isIgnoredStreamError(error) && !stdin.errored) {
+			throw error;
+		}
+	}
+};
+
 const onStreamError = async stream => {
 	for await (const [error] of on(stream, 'error')) {
-		// Ignore errors that are due to closing errors when the subprocesses exit normally, or due to piping
-		if (!['ERR_STREAM_PREMATURE_CLOSE', 'EPIPE'].includes(error?.code)) {
+		if (!isIgnoredStreamError(error)) {
 			throw error;
 		}
 	}
 };
 
-const checkFailure = ({command}, {exitCode, signalName}) => {
+// Ignore errors that are due to closing errors when the subprocesses exit normally, or due to piping
+const isIgnoredStreamError = error => ['ERR_STREAM_PREMATURE_CLOSE', 'EPIPE'].includes(error?.code);
+
+const checkFailure = ({command, state}, {exitCode, signalName}, {timeout}) => {
+	if (state.isCanceled) {
+		throw new SubprocessError(`Command was canceled: ${command}`, {cause: state.cancelReason});
+	}
+
+	if (state.timedOut) {
+		throw new SubprocessError(`Command timed out after ${timeout} ms: ${command}`);
+	}
+
+	if (state.isMaxBuffer) {
+		throw new SubprocessError(`Command's ${state.maxBufferName} was larger than the "maxBuffer" option: ${command}`);
+	}
+
 	if (signalName !== undefined) {
 		throw new SubprocessError(`Command was terminated with ${signalName}: ${command}`);
 	}
@@ -41,34 +81,124 @@ const checkFailure = ({command}, {exitCode, signalName}) => {
 	}
 };
 
-export const getResultError = (error, instance, context) => Object.assign(
-	getErrorInstance(error, context),
-	getErrorOutput(instance),
-	getOutputs(context),
-);
+export const getResultError = (error, instance, context) => {
+	const outputs = getOutputs(context);
+	return addPipeline(Object.assign(
+		redactError(addErrorMessage(getErrorInstance(error, context), outputs, context), context),
+		getErrorFlags(context),
+		getErrorOutput(instance),
+		outputs,
+	));
+};
 
 const getErrorInstance = (error, {command}) => error instanceof SubprocessError
 	? error
 	: new SubprocessError(`Command failed: ${command}`, {cause: error});
 
+export const validateErrorLines = ({errorLines = DEFAULT_ERROR_LINES}) => {
+	if (!isErrorLines(errorLines)) {
+		throw new TypeError(`The "errorLines" option must be a non-negative integer or Infinity, not ${errorLines}.`);
+	}
+};
+
+const isErrorLines = errorLines => (Number.isInteger(errorLines) || errorLines === Number.POSITIVE_INFINITY) && errorLines >= 0;
+
+const DEFAULT_ERROR_LINES = 10;
+
+// So that printing `error.message` is enough to debug, it also includes the cause's message and the last lines of the output.
+// `error.shortMessage` keeps the summary, which is what the `verbose` option prints.
+// This is skipped when the error was already handled, e.g. when re-thrown by `subprocess.json()`.
+const addErrorMessage = (error, outputs, {errorLines = DEFAULT_ERROR_LINES}) => {
+	if (error.shortMessage !== undefined) {
+		return error;
+	}
+
+	const shortMessage = error.message;
+	const originalMessage = typeof error.cause?.message === 'string' ? error.cause.message : undefined;
+	const outputTail = isErrorLines(errorLines) ? getOutputTail(outputs, errorLines) : '';
+	const message = [
+		[shortMessage, originalMessage].filter(Boolean).join('\n'),
+		outputTail,
+	].filter(Boolean).join('\n\n');
+	// The stack starts with the message, which must be updated too
+	error.stack = error.stack.replace(shortMessage, () => message);
+	return Object.assign(error, {
+		message,
+		shortMessage,
+		...(originalMessage === undefined ? {} : {originalMessage}),
+	});
+};
+
+// Use `stdout` when `stderr` is empty, since some commands print their errors there
+const getOutputTail = ({stdout, stderr}, errorLines) => {
+	const output = [stderr, stdout].map(text => getText(text)).find(text => text.trim() !== '');
+	return output === undefined || errorLines === 0
+		? ''
+		: output.split(/\r?\n/).slice(-errorLines).join('\n');
+};
+
+// The message can include the output, e.g. with `subprocess.json()`.
+// When the subprocess fails to spawn, the cause also includes its file and arguments.
+const redactError = (error, {redact}) => {
+	redactProperties(error, ['message', 'stack', 'shortMessage', 'originalMessage'], redact);
+	if (typeof error.cause === 'object' && error.cause !== null) {
+		redactProperties(error.cause, ['message', 'stack', 'path'], redact);
+	}
+
+	if (Array.isArray(error.cause?.spawnargs)) {
+		error.cause.spawnargs = error.cause.spawnargs.map(spawnarg => redact(spawnarg));
+	}
+
+	return error;
+};
+
+const redactProperties = (object, properties, redact) => {
+	for (const property of properties) {
+		// Properties that are inherited or read-only cannot be set, e.g. `DOMException.message` with the default `cancelSignal.reason`
+		if (typeof object[property] === 'string' && isSettable(Object.getOwnPropertyDescriptor(object, property))) {
+			object[property] = redact(object[property]);
+		}
+	}
+};
+
+const isSettable = descriptor => descriptor !== undefined && (descriptor.writable === true || descriptor.set !== undefined);
+
 export class SubprocessError extends Error {
 	name = 'SubprocessError';
 }
 
+const getErrorFlags = ({state: {timedOut, isCanceled, isMaxBuffer}}) => ({timedOut, isCanceled, isMaxBuffer});
+
 const getErrorOutput = ({exitCode, signalCode}) => ({
 	// `exitCode` can be a negative number (`errno`) when the `error` event is emitted on the `instance`
 	...(exitCode < 1 ? {} : {exitCode}),
 	...(signalCode === null ? {} : {signalName: signalCode}),
 });
 
-const getOutputs = ({state: {stdout, stderr, output}, command, start}) => ({
-	stdout: getOutput(stdout),
-	stderr: getOutput(stderr),
-	output: getOutput(output),
-	command,
-	durationMs: Number(process.hrtime.bigint() - start) / 1e6,
-});
+const getOutputs = context => {
+	const {state: {resourceUsage}, command, escapedCommand, start, redactOutput} = context;
+	return {
+		stdout: redactOutput(getOutput(getBufferedOutput(context, 'stdout'))),
+		stderr: redactOutput(getOutput(getBufferedOutput(context, 'stderr'))),
+		output: redactOutput(getOutput(getBufferedOutput(context, 'output'))),
+		command,
+		escapedCommand,
+		durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+		// Only available on Linux
+		...(resourceUsage === undefined ? {} : {resourceUsage}),
+	};
+};
+
+// Without `subprocess.pipe()`, the pipeline only has a single stage
+const addPipeline = result => setPipeline(result, [result]);
+
+// Not enumerable, since the pipeline includes the result itself, which would make `JSON.stringify()` throw
+export const setPipeline = (result, pipeline) => Object.defineProperty(result, 'pipeline', {value: pipeline, writable: true, configurable: true});
+
+// With `encoding: 'buffer'`, the output is decoded as UTF-8
+export const getText = output => typeof output === 'string' ? output : getOutput(new TextDecoder().decode(output));
 
-const getOutput = output => output.at(-1) === '\n'
+// With `encoding: 'buffer'`, `output.at(-1)` is a byte, so the final newline is kept
+export const getOutput = output => output.at(-1) === '\n'
 	? output.slice(0, output.at(-2) === '\r' ? -2 : -1)
 	: output;
@@ -0,0 +1,122 @@
+import {setTimeout} from 'node:timers/promises';
+import {getState} from './context.js';
+import {SubprocessError, getResultError} from './result.js';
+
+// Re-run the subprocess when it fails, with an exponential backoff
+export const retrySubprocess = async (firstResult, getNextResult, options, context) => {
+	// When `validateRetry()` fails, the first attempt fails, and it is not retried
+	const {
+		retries,
+		delay,
+		factor,
+		shouldRetry,
+	} = getRetryError(options, context) === undefined ? getRetry(options.retry) : getRetry();
+	const {cancelSignal} = options;
+	const attempts = [];
+	// `.pipe()` destinations are never retried, since their input cannot be replayed
+	const maxAttempts = context.isPipeDestination ? 1 : retries + 1;
+
+	for (let result = firstResult; ; result = cancelSignal?.aborted ? getCanceledResult(cancelSignal, context) : getNextResult()) {
+		try {
+			// eslint-disable-next-line no-await-in-loop
+			return await result;
+		} catch (error) {
+			attempts.push(error);
+			// eslint-disable-next-line no-await-in-loop
+			if (!(await isRetriable(error, attempts, maxAttempts, shouldRetry))) {
+				// Not enumerable, since it includes the error itself, which would make `JSON.stringify()` throw
+				throw Object.defineProperty(error, 'attempts', {value: attempts, writable: true, configurable: true});
+			}
+		}
+
+		// eslint-disable-next-line no-await-in-loop
+		await waitForDelay(delay * (factor ** (attempts.length - 1)), cancelSignal);
+		// The `durationMs` of each attempt includes the previous attempts
+		context.state = {...getState(), isIterating: context.state.isIterating};
+	}
+};
+
+const isRetriable = async (error, attempts, maxAttempts, shouldRetry) => error instanceof SubprocessError
+	&& !error.isCanceled
+	&& attempts.length < maxAttempts
+	&& Boolean(await shouldRetry(error));
+
+const getRetry = ({
+	retries = 0,
+	delay = 1e3,
+	factor = 2,
+	shouldRetry = () => true,
+} = {}) => ({
+	retries,
+	delay,
+	factor,
+	shouldRetry,
+});
+
+// Each attempt has its own input and output, but `.pipe()` destinations and iteration only use the first attempt's
+export const validateRetry = (options, context) => {
+	const error = getRetryError(options, context);
+	if (error !== undefined) {
+		throw error;
+	}
+};
+
+const getRetryError = ({retry, input, stdio}, {retries, isPipeDestination}) => {
+	if (retry !== undefined && (typeof retry !== 'object' || retry === null)) {
+		return new TypeError(`The "retry" option must be an object, not ${retry}.`);
+	}
+
+	const {
+		delay,
+		factor,
+		shouldRetry,
+	} = getRetry(retry);
+	if (!Number.isInteger(retries) || retries < 0) {
+		return new TypeError(`The "retry.retries" option must be a non-negative integer, not ${retries}.`);
+	}
+
+	if (!isNonNegativeNumber(delay)) {
+		return new TypeError(`The "retry.delay" option must be a non-negative number, not ${delay}.`);
+	}
+
+	if (!isNonNegativeNumber(factor)) {
+		return new TypeError(`The "retry.factor" option must be a non-negative number, not ${factor}.`);
+	}
+
+	if (typeof shouldRetry !== 'function') {
+		return new TypeError(`The "retry.shouldRetry" option must be a function, not ${shouldRetry}.`);
+	}
+
+	if (retries > 0 && isPipeDestination) {
+		return new TypeError('The "retry" option cannot be used with "subprocess.pipe()" destinations, since their input cannot be replayed.');
+	}
+
+	if (retries > 0 && !isReplayable(input, stdio[0])) {
+		return new TypeError('The "retry" option cannot be used when the "stdin" option is a stream or an async iterable, since it cannot be replayed.');
+	}
+};
+
+// Strings and bytes are written again on each attempt, and files are re-opened
+const isReplayable = (input, stdin) => typeof input?.[Symbol.asyncIterator] !== 'function' && typeof stdin?.pipe !== 'function';
+
+const isNonNegativeNumber = value => Number.isFinite(value) && value >= 0;
+
+export const validateIterationRetry = ({retries}) => {
+	if (retries > 0) {
+		throw new TypeError('The "retry" option cannot be used when iterating over the output, since each attempt has a different output.');
+	}
+};
+
+// When `cancelSignal` is aborted, the delay is interrupted
+const waitForDelay = async (delay, cancelSignal) => {
+	try {
+		await setTimeout(delay, undefined, {signal: cancelSignal});
+	} catch {}
+};
+
+// When `cancelSignal` is aborted during the delay, the next attempt is not started, since the command might not be idempotent, e.g. `npm publish`
+const getCanceledResult = async ({reason}, context) => {
+	context.state.isCanceled = true;
+	context.state.cancelReason = reason;
+	throw getResultError(new SubprocessError(`Command was canceled: ${context.command}`, {cause: reason}), {}, context);
+};
@@ -2,10 +2,26 @@ import {spawn} from 'node:child_process';
 import {once} from 'node:events';
 import process from 'node:process';
 import {applyForceShell} from './windows.js';
-import {getResultError} from './result.js';
+import {getResultError, validateErrorLines} from './result.js';
+import {addChunk, validateMaxBuffer} from './max-buffer.js';
+import {terminate, validateTimeout, validateForceKillAfterDelay} from './kill.js';
+import {validateEncoding, getDecoder} from './encoding.js';
+import {openFiles, closeFiles} from './file.js';
+import {acquireSlot} from './pool.js';
+import {validateVerbose, logCommand, getOutputLogger} from './verbose.js';
+import {publishSpawn} from './diagnostics.js';
+import {markSpawn, markOutput} from './performance.js';
+import {watchResourceUsage} from './resource-usage.js';
+import {validateRedact} from './redact.js';
+import {validateRetry} from './retry.js';
+import {validateStdin} from './options.js';
 
 export const spawnSubprocess = async (file, commandArguments, options, context) => {
+	const fileHandles = [];
+	let releaseSlot = () => {};
 	try {
+		releaseSlot = await acquireSlot(context, options);
+
 		// When running `node`, keep the current Node version and CLI flags.
 		// Not applied with file paths to `.../node` since those indicate a clear intent to use a specific Node version.
 		// This also provides a way to opting out, e.g. using `process.execPath` instead of `node` to discard current CLI flags.
@@ -14,11 +30,24 @@ export const spawnSubprocess = async (file, commandArguments, options, context)
 			? [process.execPath, [...process.execArgv.filter(flag => !flag.startsWith('--inspect')), ...commandArguments]]
 			: [file, commandArguments];
 
+		validateStdin(options);
+		validateEncoding(options);
+		validateVerbose(context);
+		validateRedact(options);
+		validateErrorLines(options);
+		validateRetry(options, context);
+		validateMaxBuffer(options);
+		validateTimeout(options);
+		validateForceKillAfterDelay(options);
 		[file, commandArguments, options] = await applyForceShell(file, commandArguments, options);
 		[file, commandArguments, options] = concatenateShell(file, commandArguments, options);
-		const instance = spawn(file, commandArguments, options);
-		bufferOutput(instance.stdout, context, 'stdout');
-		bufferOutput(instance.stderr, context, 'stderr');
+		options = await openFiles(options, fileHandles);
+		logCommand(context);
+		// The `timeout` option is handled by `handleTimeout()` instead
+		const instance = spawn(file, commandArguments, {...options, timeout: undefined});
+		instance.once('close', releaseSlot);
+		bufferOutput(instance, context, 'stdout', options);
+		bufferOutput(instance, context, 'stderr', options);
 
 		// The `error` event is caught by `once(instance, 'spawn')` and `once(instance, 'close')`.
 		// But it creates an uncaught exception if it happens exactly one tick after 'spawn'.
@@ -26,9 +55,15 @@ export const spawnSubprocess = async (file, commandArguments, options, context)
 		instance.once('error', () => {});
 
 		await once(instance, 'spawn');
+		markSpawn(context, instance, options);
+		watchResourceUsage(instance, context, options);
+		publishSpawn(context, instance);
 		return instance;
 	} catch (error) {
+		releaseSlot();
 		throw getResultError(error, {}, context);
+	} finally {
+		await closeFiles(fileHandles);
 	}
 };
 
@@ -44,15 +79,29 @@ const concatenateShell = (file, commandArguments, options) => options.shell && c
 	? [[file, ...commandArguments].join(' '), [], options]
 	: [file, commandArguments, options];
 
-const bufferOutput = (stream, {state}, streamName) => {
-	if (stream) {
-		stream.setEncoding('utf8');
-		if (!state.isIterating) {
-			state.isIterating = false;
-			stream.on('data', chunk => {
-				state[streamName] += chunk;
-				state.output += chunk;
-			});
-		}
+const bufferOutput = (instance, context, streamName, options) => {
+	const {[streamName]: stream} = instance;
+	if (stream && !context.state.isIterating) {
+		context.state.isIterating = false;
+		const decoder = context.encoding === 'buffer' ? undefined : getDecoder(context.encoding);
+		const onChunk = chunk => {
+			if (addChunk(context, streamName, chunk, options.maxBuffer)) {
+				context.state.termination = terminate(instance, options);
+			}
+		};
+
+		const outputLogger = getOutputLogger(context);
+		stream.on('data', chunk => {
+			markOutput(context);
+			outputLogger.write(chunk);
+			onChunk(decoder === undefined ? chunk : decoder.write(chunk));
+		});
+		stream.on('end', () => {
+			outputLogger.end();
+			const lastChunk = decoder?.end();
+			if (lastChunk) {
+				onChunk(lastChunk);
+			}
+		});
 	}
 };
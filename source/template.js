@@ -0,0 +1,81 @@
+import {
+	isSecret,
+	getSecretValue,
+	getSecrets,
+	createSecret,
+} from './redact.js';
+
+// `spawn.$` can be used either as a template tag, or with options to return another template tag
+export const getTemplate = (spawn, options) => (first, ...expressions) => isTemplate(first)
+	? spawnTemplate(spawn, parseTemplate(first, expressions), options)
+	: getTemplate(spawn, {...options, ...first});
+
+const isTemplate = first => Array.isArray(first) && Array.isArray(first.raw);
+
+const spawnTemplate = (spawn, [file, ...commandArguments], options) => {
+	if (file === undefined) {
+		throw new TypeError('The template must contain a command.');
+	}
+
+	return spawn(file, commandArguments, options);
+};
+
+// Literal text is split on whitespace, while each expression is a single argument (or several ones with arrays).
+// Like in shells, text and expressions not separated by whitespace are joined, e.g. `--name=${name}`.
+const parseTemplate = (templates, expressions) => {
+	const state = {tokens: [], current: undefined, secrets: []};
+	// Like `String.raw`, backslashes are kept as is, e.g. `C:\Users`.
+	// However, `\` at the end of a line is a continuation, like in shells.
+	for (const [index, template] of templates.raw.entries()) {
+		addText(state, template.replaceAll(/\\\r?\n/g, ' '));
+		if (index < expressions.length) {
+			addExpression(state, expressions[index]);
+		}
+	}
+
+	endToken(state);
+	return state.tokens;
+};
+
+const addText = (state, text) => {
+	for (const part of text.split(/(\s+)/)) {
+		if (/^\s+$/.test(part)) {
+			endToken(state);
+		} else if (part !== '') {
+			state.current = `${state.current ?? ''}${part}`;
+		}
+	}
+};
+
+const addExpression = (state, expression) => {
+	const values = Array.isArray(expression) ? expression : [expression];
+	for (const [index, value] of values.entries()) {
+		if (index !== 0) {
+			endToken(state);
+		}
+
+		state.current = `${state.current ?? ''}${getExpressionValue(value)}`;
+		state.secrets.push(...getSecrets(value));
+	}
+};
+
+const getExpressionValue = value => {
+	if (typeof value === 'string' || typeof value === 'number') {
+		return String(value);
+	}
+
+	if (isSecret(value)) {
+		return getSecretValue(value);
+	}
+
+	throw new TypeError(`Template expressions must be strings, numbers, secrets or arrays of them, not ${typeof value}.`);
+};
+
+// Arguments including a secret, e.g. `--token=${secret(token)}`, only redact the secret itself
+const endToken = state => {
+	if (state.current !== undefined) {
+		state.tokens.push(state.secrets.length === 0 ? state.current : createSecret(state.current, state.secrets));
+		state.current = undefined;
+		state.secrets = [];
+	}
+};
@@ -0,0 +1,86 @@
+import process from 'node:process';
+import {getDecoder} from './encoding.js';
+
+// Each subprocess is given a short id, so the lines of concurrent subprocesses can be told apart
+let verboseId = 0;
+
+export const getVerbose = ({verbose = getDefaultVerbose(), logger = defaultLogger}) => ({
+	level: verbose,
+	logger,
+	id: isVerbose(verbose) ? verboseId++ : undefined,
+});
+
+// Unlike the `verbose` option, invalid values of the `NANO_SPAWN_VERBOSE` environment variable are ignored.
+// Otherwise, a typo in an environment variable, e.g. `NANO_SPAWN_VERBOSE=1`, would make every subprocess fail.
+const getDefaultVerbose = () => VERBOSE_LEVELS.has(process.env.NANO_SPAWN_VERBOSE) ? process.env.NANO_SPAWN_VERBOSE : 'none';
+
+const isVerbose = level => level === 'short' || level === 'full';
+
+const defaultLogger = line => {
+	console.error(line);
+};
+
+export const validateVerbose = ({verbose: {level}}) => {
+	if (!VERBOSE_LEVELS.has(level)) {
+		throw new TypeError(`The "verbose" option must be "none", "short" or "full", not "${level}".`);
+	}
+};
+
+const VERBOSE_LEVELS = new Set(['none', 'short', 'full']);
+
+// Printed right before the subprocess is spawned, including on retries
+export const logCommand = context => {
+	log(context, `$ ${context.command}`);
+};
+
+// With `verbose: 'full'`, each line of `stdout` and `stderr` is printed as soon as it is complete
+export const getOutputLogger = context => {
+	if (context.verbose.level !== 'full') {
+		return {write() {}, end() {}};
+	}
+
+	const decoder = getDecoder(context.encoding);
+	let buffer = '';
+	const logLines = lines => {
+		for (const line of lines) {
+			log(context, `  ${context.redactOutput(line)}`);
+		}
+	};
+
+	return {
+		write(chunk) {
+			const lines = `${buffer}${decoder.write(chunk)}`.split(/\r?\n/);
+			buffer = lines.pop();
+			logLines(lines);
+		},
+		end() {
+			buffer += decoder.end();
+			logLines(buffer === '' ? [] : [buffer]);
+			buffer = '';
+		},
+	};
+};
+
+// Print whether each attempt succeeded, and how long it took
+export const logResult = (result, context) => isVerbose(context.verbose.level)
+	? logResultAsync(result, context)
+	: result;
+
+const logResultAsync = async (result, context) => {
+	try {
+		const value = await result;
+		log(context, `✔ (done in ${formatDuration(value.durationMs)})`);
+		return value;
+	} catch (error) {
+		log(context, `✘ ${error.shortMessage} (done in ${formatDuration(error.durationMs)})`);
+		throw error;
+	}
+};
+
+const formatDuration = durationMs => `${Math.round(durationMs)}ms`;
+
+const log = ({verbose: {level, logger, id}}, message) => {
+	if (isVerbose(level)) {
+		logger(`[${new Date().toISOString().slice(11, 23)}] [${id}] ${message}`);
+	}
+};
@@ -67,10 +67,14 @@ const mIsExe = async (file, cwd, PATH) => {
 const exeExtensions = ['.exe', '.com'];
 
 // `cmd.exe` escaping for arguments.
+// They are escaped twice, since `*.cmd` and `*.bat` files parse their arguments a second time.
 // Taken from https://github.com/moxystudio/node-cross-spawn
-const escapeArgument = argument => escapeFile(escapeFile(`"${argument
+export const escapeArgument = argument => escapeFile(escapeFile(quoteArgument(argument)));
+
+// Quoting expected by most Windows programs when parsing their arguments
+export const quoteArgument = argument => `"${argument
 	.replaceAll(/(\\*)"/g, '$1$1\\"')
-	.replace(/(\\*)$/, '$1$1')}"`));
+	.replace(/(\\*)$/, '$1$1')}"`;
 
 // `cmd.exe` escaping for file and arguments.
-const escapeFile = file => file.replaceAll(/([()\][%!^"`<>&|;, *?])/g, '^$1');
+export const escapeFile = file => file.replaceAll(/([()\][%!^"`<>&|;, *?])/g, '^$1');
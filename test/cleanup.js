@@ -0,0 +1,63 @@
+import process from 'node:process';
+import {setTimeout} from 'node:timers/promises';
+import test from 'ava';
+import spawn from '../source/index.js';
+import {FIXTURES_URL, isLinux, isProcessRunning} from './helpers/main.js';
+
+// The subprocess might take a little time to handle the signal
+const isStillRunning = async pid => {
+	await setTimeout(1e2);
+	return isProcessRunning(pid);
+};
+
+const spawnCleanup = async (t, mode, options = {}) => {
+	const error = await t.throwsAsync(spawn('node', ['cleanup.js', mode, JSON.stringify(options)], {cwd: FIXTURES_URL}));
+	const [pid] = error.stdout.split('\n');
+	return {error, isRunning: await isStillRunning(Number(pid)), pid: Number(pid)};
+};
+
+// `isProcessRunning()` relies on `/proc`
+if (isLinux) {
+	test('options.cleanup terminates subprocesses on process.exit()', async t => {
+		const {stdout} = await spawn('node', ['cleanup.js', 'exit'], {cwd: FIXTURES_URL});
+		t.false(await isStillRunning(Number(stdout)));
+	});
+
+	test('options.cleanup terminates subprocesses on uncaught exceptions', async t => {
+		const {error, isRunning} = await spawnCleanup(t, 'throw');
+		t.is(error.exitCode, 1);
+		t.true(error.stderr.includes('Uncaught'));
+		t.false(isRunning);
+	});
+
+	const testSignal = async (t, signal) => {
+		const {error, isRunning} = await spawnCleanup(t, signal);
+		t.is(error.signalName, signal);
+		t.false(isRunning);
+	};
+
+	test('options.cleanup terminates subprocesses on SIGTERM', testSignal, 'SIGTERM');
+	test('options.cleanup terminates subprocesses on SIGINT', testSignal, 'SIGINT');
+
+	test('options.cleanup does not exit the process if SIGTERM is handled', async t => {
+		const {stdout} = await spawn('node', ['cleanup.js', 'handled'], {cwd: FIXTURES_URL});
+		const [pid, signalName] = stdout.split('\n');
+		t.is(signalName, 'SIGTERM');
+		t.false(await isStillRunning(Number(pid)));
+	});
+
+	test('options.cleanup uses options.killSignal', async t => {
+		const {stdout} = await spawn('node', ['cleanup.js', 'handled', JSON.stringify({killSignal: 'SIGKILL'})], {cwd: FIXTURES_URL});
+		t.is(stdout.split('\n')[1], 'SIGKILL');
+	});
+
+	const testNoCleanup = async (t, options) => {
+		const {error, isRunning, pid} = await spawnCleanup(t, 'SIGTERM', options);
+		t.is(error.signalName, 'SIGTERM');
+		t.true(isRunning);
+		process.kill(pid);
+	};
+
+	test('options.cleanup can be false', testNoCleanup, {cleanup: false});
+	test('options.cleanup does not apply to options.detached', testNoCleanup, {detached: true});
+}
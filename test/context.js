@@ -30,3 +30,26 @@ test('error.durationMs is set', async t => {
 	const {durationMs} = await t.throwsAsync(spawn(...nodePrintFail));
 	assertDurationMs(t, durationMs);
 });
+
+test('result.escapedCommand does not quote normal arguments', async t => {
+	const {escapedCommand} = await spawn('node', ['--version']);
+	t.is(escapedCommand, 'node --version');
+});
+
+test('result.escapedCommand quotes empty arguments', async t => {
+	const {command, escapedCommand} = await spawn('node', ['-p', 'process.argv[1]', '']);
+	t.is(escapedCommand, 'node -p \'process.argv[1]\' \'\'');
+	t.is(command, escapedCommand);
+});
+
+test('result.escapedCommand keeps ANSI sequences', async t => {
+	const {escapedCommand, stdout} = await spawn(...nodePrint(`"${red(testString)}"`));
+	t.is(escapedCommand, `node -p '"${red(testString)}"'`);
+	t.is(stdout, red(testString));
+});
+
+test('error.escapedCommand is set', async t => {
+	const {command, escapedCommand} = await t.throwsAsync(spawn(...nodePrintFail));
+	t.true(escapedCommand.startsWith('node -e '));
+	t.is(escapedCommand, command);
+});
@@ -0,0 +1,136 @@
+import process from 'node:process';
+import test from 'ava';
+import spawn from '../source/index.js';
+import {fixturesPath} from './helpers/main.js';
+import {testString, secondTestString, testUpperCase} from './helpers/arguments.js';
+import {assertCanceled} from './helpers/assert.js';
+import {
+	nodeEval,
+	nodePrint,
+	nodePassThrough,
+	nodeToUpperCase,
+	nodeHanging,
+	nodePrintFail,
+} from './helpers/commands.js';
+
+const nodePrintCwd = nodePrint('process.cwd()');
+const nodePrintEnv = nodePrint('[process.env.ONE, process.env.TWO, process.env.PATH !== undefined].join("-")');
+const nodeEvalEnvSuffix = nodeEval('process.stdin.on("data", chunk => console.log(chunk.toString().trim(), [process.env.ONE, process.env.TWO].join("-")))');
+
+test('spawn.create() applies default options', async t => {
+	const {stdout} = await spawn.create({cwd: fixturesPath})(...nodePrintCwd);
+	t.is(`${stdout}/`, fixturesPath);
+});
+
+test('spawn.create() default options can be overridden', async t => {
+	const {stdout} = await spawn.create({cwd: fixturesPath})(...nodePrintCwd, {cwd: process.cwd()});
+	t.is(stdout, process.cwd());
+});
+
+test('spawn.create() works without arguments', async t => {
+	const {stdout} = await spawn.create({stdin: {string: testString}})(...nodePassThrough);
+	t.is(stdout, testString);
+});
+
+test('spawn.create() works with options but no arguments', async t => {
+	const subprocess = spawn.create({timeout: 1e4})('node', {stdin: {string: `console.log("${testString}")`}});
+	const {stdout} = await subprocess;
+	t.is(stdout, testString);
+});
+
+test('spawn.create() merges options.env', async t => {
+	const {stdout} = await spawn.create({env: {ONE: testString, TWO: testString}})(...nodePrintEnv, {env: {TWO: secondTestString}});
+	t.is(stdout, `${testString}-${secondTestString}-true`);
+});
+
+test('spawn.create() merges options.retry', async t => {
+	const error = await t.throwsAsync(spawn.create({retry: {retries: 2, delay: 1e5}})(...nodePrintFail, {retry: {delay: 0}}));
+	t.is(error.attempts.length, 3);
+});
+
+test('spawn.create() merges options.maxBuffer', async t => {
+	const {stdout} = await spawn.create({maxBuffer: {size: 4}})(...nodePrint(`"${testString}"`), {maxBuffer: {keep: 'tail'}});
+	// The trailing newline counts towards the limit
+	t.is(stdout, testString.slice(-3));
+});
+
+test('spawn.create() options.maxBuffer can be overridden with a number', async t => {
+	const error = await t.throwsAsync(spawn.create({maxBuffer: {size: 3, keep: 'tail'}})(...nodePrint(`"${testString}"`), {maxBuffer: 1}));
+	t.true(error.isMaxBuffer);
+});
+
+test('spawn.create() does not merge options.stdin', async t => {
+	const {stdout} = await spawn.create({stdin: {string: testString}})(...nodePassThrough, {stdin: {string: secondTestString}});
+	t.is(stdout, secondTestString);
+});
+
+test('spawn.create() options.env can be set only in defaults', async t => {
+	const {stdout} = await spawn.create({env: {ONE: testString}})(...nodePrintEnv);
+	t.is(stdout, `${testString}--true`);
+});
+
+test('spawn.create() options.env can be set only per call', async t => {
+	const {stdout} = await spawn.create({})(...nodePrintEnv, {env: {ONE: testString}});
+	t.is(stdout, `${testString}--true`);
+});
+
+test('spawn.create() does not modify the defaults', async t => {
+	const defaults = {env: {ONE: testString}};
+	const spawnWithDefaults = spawn.create(defaults);
+	await spawnWithDefaults(...nodePrintEnv, {env: {TWO: secondTestString}});
+	const {stdout} = await spawnWithDefaults(...nodePrintEnv);
+	t.is(stdout, `${testString}--true`);
+	t.deepEqual(defaults, {env: {ONE: testString}});
+});
+
+test('spawn.create() can be called several times', async t => {
+	const spawnWithDefaults = spawn.create({env: {ONE: testString}}).create({env: {TWO: secondTestString}});
+	const {stdout} = await spawnWithDefaults(...nodePrintEnv);
+	t.is(stdout, `${testString}-${secondTestString}-true`);
+});
+
+test('spawn.create() further calls override the previous defaults', async t => {
+	const {stdout} = await spawn.create({cwd: fixturesPath}).create({cwd: process.cwd()})(...nodePrintCwd);
+	t.is(stdout, process.cwd());
+});
+
+test('spawn.create() does not change spawn()', async t => {
+	spawn.create({cwd: fixturesPath});
+	const {stdout} = await spawn(...nodePrintCwd);
+	t.is(stdout, process.cwd());
+});
+
+test('spawn.create() applies to .pipe()', async t => {
+	const spawnWithDefaults = spawn.create({env: {ONE: testString}});
+	const {stdout, pipedFrom} = await spawnWithDefaults(...nodePrintEnv)
+		.pipe(...nodeEvalEnvSuffix, {env: {TWO: secondTestString}});
+	t.is(pipedFrom.stdout, `${testString}--true`);
+	t.is(stdout, `${testString}--true ${testString}-${secondTestString}`);
+});
+
+test('spawn.create() applies to .pipe().pipe()', async t => {
+	const {stdout} = await spawn.create({stdin: {string: testString}})(...nodePassThrough)
+		.pipe(...nodeToUpperCase, {stdin: 'pipe'})
+		.pipe(...nodePassThrough, {stdin: 'pipe'});
+	t.is(stdout, testUpperCase);
+});
+
+test('spawn.create() applies to spawn.$', async t => {
+	const {stdout} = await spawn.create({cwd: fixturesPath}).$`node -p ${'process.cwd()'}`;
+	t.is(`${stdout}/`, fixturesPath);
+});
+
+test('spawn.create() applies to spawn.$ with options', async t => {
+	const {stdout} = await spawn.create({env: {ONE: testString}}).$({env: {TWO: secondTestString}})`node -p ${'[process.env.ONE, process.env.TWO].join("-")'}`;
+	t.is(stdout, `${testString}-${secondTestString}`);
+});
+
+test('spawn.create() with options.cancelSignal', async t => {
+	const controller = new AbortController();
+	const cause = new Error(testString);
+	const subprocess = spawn.create({cancelSignal: controller.signal})(...nodeHanging);
+	await subprocess.nodeChildProcess;
+	controller.abort(cause);
+	const error = await t.throwsAsync(subprocess);
+	assertCanceled(t, error, cause);
+});
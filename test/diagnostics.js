@@ -0,0 +1,79 @@
+import {subscribe, unsubscribe} from 'node:diagnostics_channel';
+import test from 'ava';
+import spawn from '../source/index.js';
+import {testString} from './helpers/arguments.js';
+import {nodeEval, nonExistentCommand} from './helpers/commands.js';
+
+const CHANNEL_NAMES = ['start', 'spawn', 'end', 'error'];
+
+// Tests run concurrently, so messages are filtered using a unique `argument`
+const getMessages = async (argument, getSubprocess) => {
+	const messages = [];
+	const listeners = CHANNEL_NAMES.map(name => [`nano-spawn:${name}`, message => {
+		if (message.command.includes(argument)) {
+			messages.push({name, ...message});
+		}
+	}]);
+
+	for (const [channelName, listener] of listeners) {
+		subscribe(channelName, listener);
+	}
+
+	try {
+		const result = await getSubprocess().catch(error => error);
+		return {messages, result};
+	} finally {
+		for (const [channelName, listener] of listeners) {
+			unsubscribe(channelName, listener);
+		}
+	}
+};
+
+test('Publishes "nano-spawn:start", "nano-spawn:spawn" and "nano-spawn:end"', async t => {
+	const options = {timeout: 1e4};
+	const [file, commandArguments] = nodeEval(`console.log("${testString}") // success`);
+	const {messages, result} = await getMessages('success', () => spawn(file, commandArguments, options));
+	t.deepEqual(messages.map(({name}) => name), ['start', 'spawn', 'end']);
+	const [start, spawned, end] = messages;
+	t.is(start.command, result.command);
+	t.is(start.file, file);
+	t.deepEqual(start.arguments, commandArguments);
+	t.is(start.options.timeout, 1e4);
+	t.is(typeof start.start, 'bigint');
+	t.is(spawned.command, result.command);
+	t.is(spawned.start, start.start);
+	t.true(Number.isInteger(spawned.pid));
+	t.is(spawned.nodeChildProcess.pid, spawned.pid);
+	t.is(end.start, start.start);
+	t.is(end.result, result);
+	t.is(end.durationMs, result.durationMs);
+});
+
+test('Publishes "nano-spawn:error"', async t => {
+	const {messages, result} = await getMessages('failure', () => spawn(...nodeEval('process.exit(2) // failure')));
+	t.deepEqual(messages.map(({name}) => name), ['start', 'spawn', 'error']);
+	const [start, , error] = messages;
+	t.is(error.command, result.command);
+	t.is(error.start, start.start);
+	t.is(error.error, result);
+	t.is(error.durationMs, result.durationMs);
+});
+
+test('Does not publish "nano-spawn:spawn" if the subprocess fails to spawn', async t => {
+	const {messages, result} = await getMessages(nonExistentCommand, () => spawn(nonExistentCommand));
+	t.deepEqual(messages.map(({name}) => name), ['start', 'error']);
+	t.is(messages[1].error, result);
+});
+
+test('Publishes "nano-spawn:spawn" on each retry', async t => {
+	const {messages} = await getMessages('retried', () => spawn(...nodeEval('process.exit(2) // retried'), {retry: {retries: 1, delay: 0}}));
+	t.deepEqual(messages.map(({name}) => name), ['start', 'spawn', 'spawn', 'error']);
+	t.is(messages[3].error.attempts.length, 2);
+});
+
+test('Publishes messages for each subprocess of a pipeline', async t => {
+	const {messages, result} = await getMessages('piped', () => spawn(...nodeEval(`console.log("${testString}") // piped`))
+		.pipe(...nodeEval('process.stdin.pipe(process.stdout) // piped')));
+	t.deepEqual(messages.filter(({name}) => name === 'end').map(message => message.result.stdout), [testString, testString]);
+	t.is(result.stdout, testString);
+});
@@ -0,0 +1,149 @@
+import {Buffer} from 'node:buffer';
+import {setTimeout} from 'node:timers/promises';
+import test from 'ava';
+import spawn from '../source/index.js';
+import {arrayFromAsync} from './helpers/main.js';
+import {testString, secondTestString, multibyteString} from './helpers/arguments.js';
+import {assertFail, assertSubprocessErrorName} from './helpers/assert.js';
+import {
+	nodeEval,
+	nodePrintStdout,
+	nodePrintBoth,
+	nodePrintFail,
+	nodePrintNoNewline,
+	nodePassThrough,
+} from './helpers/commands.js';
+
+const textEncoder = new TextEncoder();
+const binaryBytes = [0xFF, 0xFE, 0x00, 0x0A, 0x80];
+const nodePrintBinary = nodeEval(`process.stdout.write(Buffer.from([${binaryBytes}]))`);
+
+test('options.encoding "buffer" returns Uint8Arrays', async t => {
+	const {stdout, stderr, output} = await spawn(...nodePrintBoth, {encoding: 'buffer'});
+	t.true(stdout instanceof Uint8Array);
+	t.deepEqual(stdout, textEncoder.encode(`${testString}\n`));
+	t.deepEqual(stderr, textEncoder.encode(`${secondTestString}\n`));
+	t.deepEqual(output, textEncoder.encode(`${testString}\n${secondTestString}\n`));
+});
+
+test('options.encoding "buffer" keeps binary output intact', async t => {
+	const {stdout} = await spawn(...nodePrintBinary, {encoding: 'buffer'});
+	t.deepEqual(stdout, new Uint8Array(binaryBytes));
+});
+
+test('options.encoding "buffer" returns empty Uint8Arrays', async t => {
+	const {stdout, stderr, output} = await spawn(...nodeEval(''), {encoding: 'buffer'});
+	t.deepEqual(stdout, new Uint8Array());
+	t.deepEqual(stderr, new Uint8Array());
+	t.deepEqual(output, new Uint8Array());
+});
+
+test('options.encoding "buffer" keeps the final newline', async t => {
+	const {stdout} = await spawn(...nodePrintNoNewline('a\r\n'), {encoding: 'buffer'});
+	t.deepEqual(stdout, textEncoder.encode('a\r\n'));
+});
+
+test('options.encoding "buffer" applies to error.stdout', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail, {encoding: 'buffer'}));
+	assertFail(t, error);
+	t.deepEqual(error.stdout, textEncoder.encode(`${testString}\n`));
+	t.deepEqual(error.output, error.stdout);
+});
+
+test('options.encoding "buffer" does not apply to iteration', async t => {
+	const lines = await arrayFromAsync(spawn(...nodePrintStdout, {encoding: 'buffer'}));
+	t.deepEqual(lines, [testString]);
+});
+
+test('options.encoding "buffer" with options.maxBuffer', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintBinary, {encoding: 'buffer', maxBuffer: 2}));
+	t.true(error.isMaxBuffer);
+	t.deepEqual(error.stdout, new Uint8Array(binaryBytes.slice(0, 2)));
+});
+
+test('options.encoding "buffer" with options.maxBuffer.lines', async t => {
+	const {stdout} = await spawn(...nodePrintBinary, {encoding: 'buffer', maxBuffer: {lines: 1, keep: 'tail'}});
+	t.deepEqual(stdout, new Uint8Array(binaryBytes.slice(-1)));
+});
+
+test('options.encoding "buffer" with .pipe()', async t => {
+	const {stdout, pipedFrom} = await spawn(...nodePrintBinary, {encoding: 'buffer'}).pipe(...nodePassThrough, {encoding: 'buffer'});
+	t.deepEqual(stdout, new Uint8Array(binaryBytes));
+	t.deepEqual(pipedFrom.stdout, stdout);
+});
+
+test('options.encoding "utf8" returns strings', async t => {
+	const {stdout} = await spawn(...nodePrintStdout, {encoding: 'utf8'});
+	t.is(stdout, testString);
+});
+
+const nodePrintEncoded = (output, encoding) => nodeEval(`process.stdout.write(Buffer.from(${JSON.stringify(output)}, "${encoding}"))`);
+
+const testTextEncoding = async (t, encoding) => {
+	const {stdout, output} = await spawn(...nodePrintEncoded(`${multibyteString}\n`, encoding), {encoding});
+	t.is(stdout, multibyteString);
+	t.is(output, stdout);
+};
+
+test('options.encoding can be "utf16le"', testTextEncoding, 'utf16le');
+test('options.encoding can be "utf-16le"', testTextEncoding, 'utf-16le');
+test('options.encoding can be "ucs2"', testTextEncoding, 'ucs2');
+
+test('options.encoding can be "latin1"', async t => {
+	const {stdout} = await spawn(...nodePrintBinary, {encoding: 'latin1'});
+	t.is(stdout, Buffer.from(binaryBytes).toString('latin1'));
+});
+
+const testBinaryEncoding = async (t, encoding) => {
+	const {stdout} = await spawn(...nodePrintBinary, {encoding});
+	t.is(stdout, Buffer.from(binaryBytes).toString(encoding));
+};
+
+test('options.encoding can be "base64"', testBinaryEncoding, 'base64');
+test('options.encoding can be "base64url"', testBinaryEncoding, 'base64url');
+test('options.encoding can be "hex"', testBinaryEncoding, 'hex');
+
+test('options.encoding "hex" keeps the final newline', async t => {
+	const {stdout} = await spawn(...nodePrintStdout, {encoding: 'hex'});
+	t.is(stdout, Buffer.from(`${testString}\n`).toString('hex'));
+});
+
+test('options.encoding applies to iteration', async t => {
+	const subprocess = spawn(...nodePrintEncoded(`${testString}\n${secondTestString}\n`, 'utf16le'), {encoding: 'utf16le'});
+	const lines = await arrayFromAsync(subprocess.stdout);
+	t.deepEqual(lines, [testString, secondTestString]);
+});
+
+const writeUtf16Multibyte = async subprocess => {
+	const bytes = Buffer.from(`${multibyteString}\n`, 'utf16le');
+	const {stdin} = await subprocess.nodeChildProcess;
+	stdin.write(bytes.subarray(0, 3));
+	await setTimeout(1e2);
+	stdin.end(bytes.subarray(3));
+};
+
+test.serial('options.encoding handles multibyte sequences split across chunks', async t => {
+	const subprocess = spawn(...nodePassThrough, {encoding: 'utf16le'});
+	writeUtf16Multibyte(subprocess);
+	const {stdout} = await subprocess;
+	t.is(stdout, multibyteString);
+});
+
+test.serial('options.encoding handles multibyte sequences split across chunks, with iteration', async t => {
+	const subprocess = spawn(...nodePassThrough, {encoding: 'utf16le'});
+	writeUtf16Multibyte(subprocess);
+	const lines = await arrayFromAsync(subprocess);
+	t.deepEqual(lines, [multibyteString]);
+});
+
+test('options.encoding does not apply to .pipe()', async t => {
+	const {stdout, pipedFrom} = await spawn(...nodePrintBinary, {encoding: 'hex'}).pipe(...nodePassThrough, {encoding: 'buffer'});
+	t.deepEqual(stdout, new Uint8Array(binaryBytes));
+	t.is(pipedFrom.stdout, Buffer.from(binaryBytes).toString('hex'));
+});
+
+test('options.encoding must be valid', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout, {encoding: 'other'}));
+	assertSubprocessErrorName(t, error.name);
+	t.is(error.cause.message, 'The "encoding" option must be "buffer" or a text encoding, not "other".');
+});
@@ -0,0 +1,88 @@
+import {readFile} from 'node:fs/promises';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+import test from 'ava';
+import {temporaryWriteTask} from 'tempy';
+import spawn from '../source/index.js';
+import {FIXTURES_URL} from './helpers/main.js';
+import {testString, secondTestString} from './helpers/arguments.js';
+import {
+	nodePassThrough,
+	nodePrintStdout,
+	nodePrintBoth,
+} from './helpers/commands.js';
+
+const testFileUrl = new URL('test.txt', FIXTURES_URL);
+const testFilePath = fileURLToPath(testFileUrl);
+const nonExistentFilePath = fileURLToPath(new URL('non-existent.txt', FIXTURES_URL));
+
+const testInputFile = async (t, options) => {
+	const {stdout} = await spawn(...nodePassThrough, options);
+	t.is(stdout, testString);
+};
+
+test('options.stdin can be {file: path}', testInputFile, {stdin: {file: testFilePath}});
+test('options.stdin can be {file: URL}', testInputFile, {stdin: {file: testFileUrl}});
+test('options.stdio[0] can be {file: path}', testInputFile, {stdio: [{file: testFilePath}, 'pipe', 'pipe']});
+
+test('options.stdin {file: path} fails if the file does not exist', async t => {
+	const error = await t.throwsAsync(spawn(...nodePassThrough, {stdin: {file: nonExistentFilePath}}));
+	t.is(error.name, 'SubprocessError');
+	t.is(error.shortMessage, `Command failed: ${error.command}`);
+	t.is(error.cause.code, 'ENOENT');
+	t.is(error.exitCode, undefined);
+});
+
+const testOutputFile = async (t, getOptions, expectedContents, streamName) => {
+	await temporaryWriteTask(`${secondTestString}\n`, async temporaryPath => {
+		const result = await spawn(...nodePrintBoth, getOptions(temporaryPath));
+		t.is(result[streamName], '');
+		t.is(await readFile(temporaryPath, 'utf8'), expectedContents);
+	});
+};
+
+test('options.stdout can be {file: path}', testOutputFile, file => ({stdout: {file}}), `${testString}\n`, 'stdout');
+test('options.stdout can be {file: URL}', testOutputFile, file => ({stdout: {file: pathToFileURL(file)}}), `${testString}\n`, 'stdout');
+test('options.stdout can be {file: path, append: true}', testOutputFile, file => ({stdout: {file, append: true}}), `${secondTestString}\n${testString}\n`, 'stdout');
+test('options.stdout can be {file: path, append: false}', testOutputFile, file => ({stdout: {file, append: false}}), `${testString}\n`, 'stdout');
+test('options.stderr can be {file: path}', testOutputFile, file => ({stderr: {file}}), `${secondTestString}\n`, 'stderr');
+test('options.stderr can be {file: path, append: true}', testOutputFile, file => ({stderr: {file, append: true}}), `${secondTestString}\n${secondTestString}\n`, 'stderr');
+test('options.stdio[1] can be {file: path}', testOutputFile, file => ({stdio: ['pipe', {file}, 'pipe']}), `${testString}\n`, 'stdout');
+test('options.stdio[2] can be {file: path}', testOutputFile, file => ({stdio: ['pipe', 'pipe', {file}]}), `${secondTestString}\n`, 'stderr');
+
+test('options.stdout and options.stderr can be the same {file: path, append: true}', async t => {
+	await temporaryWriteTask('', async temporaryPath => {
+		const file = {file: temporaryPath, append: true};
+		const {output} = await spawn(...nodePrintBoth, {stdout: file, stderr: file});
+		t.is(output, '');
+		t.is(await readFile(temporaryPath, 'utf8'), `${testString}\n${secondTestString}\n`);
+	});
+});
+
+test('options.stdin and options.stdout can both be {file: path}', async t => {
+	await temporaryWriteTask('', async temporaryPath => {
+		await spawn(...nodePassThrough, {stdin: {file: testFilePath}, stdout: {file: temporaryPath}});
+		t.is(await readFile(temporaryPath, 'utf8'), `${testString}\n`);
+	});
+});
+
+const testOutputFileError = async (t, options) => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout, options));
+	t.is(error.name, 'SubprocessError');
+	t.is(error.shortMessage, `Command failed: ${error.command}`);
+	t.is(error.cause.code, 'ENOENT');
+	t.is(error.exitCode, undefined);
+};
+
+const nonExistentDirectoryPath = fileURLToPath(new URL('non-existent/test.txt', FIXTURES_URL));
+
+test('options.stdout {file: path} fails if the directory does not exist', testOutputFileError, {stdout: {file: nonExistentDirectoryPath}});
+test('options.stderr {file: path} fails if the directory does not exist', testOutputFileError, {stderr: {file: nonExistentDirectoryPath}});
+test('options.stdout {file: path} fails if options.stdin file does not exist', testOutputFileError, {stdin: {file: nonExistentFilePath}, stdout: {file: nonExistentDirectoryPath}});
+
+test('options.stdout {file: path} can be used with .pipe()', async t => {
+	await temporaryWriteTask('', async temporaryPath => {
+		const {stdout} = await spawn(...nodePrintStdout).pipe(...nodePassThrough, {stdout: {file: temporaryPath}});
+		t.is(stdout, '');
+		t.is(await readFile(temporaryPath, 'utf8'), `${testString}\n`);
+	});
+});
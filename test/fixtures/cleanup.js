@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+import process from 'node:process';
+import spawn from '../../source/index.js';
+
+const [mode, options = '{}'] = process.argv.slice(2);
+const subprocess = spawn('node', ['-e', 'setInterval(() => {}, 1e3)'], JSON.parse(options));
+const {pid} = await subprocess.nodeChildProcess;
+console.log(pid);
+
+switch (mode) {
+	case 'exit': {
+		process.exit();
+		break;
+	}
+
+	case 'throw': {
+		throw new Error('Uncaught');
+	}
+
+	case 'handled': {
+		process.once('SIGTERM', () => {});
+		process.kill(process.pid, 'SIGTERM');
+		try {
+			await subprocess;
+		} catch ({signalName}) {
+			console.log(signalName);
+		}
+
+		break;
+	}
+
+	default: {
+		process.kill(process.pid, mode);
+	}
+}
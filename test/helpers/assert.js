@@ -9,12 +9,14 @@ export const assertDurationMs = (t, durationMs) => {
 	t.true(durationMs >= 0);
 };
 
-export const assertNonExistent = (t, {name, exitCode, signalName, command, message, stderr, cause, durationMs}, commandStart = nonExistentCommand, expectedCommand = commandStart) => {
+export const assertNonExistent = (t, {name, exitCode, signalName, command, message, shortMessage, originalMessage, stderr, cause, durationMs}, commandStart = nonExistentCommand, expectedCommand = commandStart) => {
 	assertSubprocessErrorName(t, name);
 	t.is(exitCode, undefined);
 	t.is(signalName, undefined);
 	t.is(command, expectedCommand);
-	t.is(message, `Command failed: ${expectedCommand}`);
+	t.is(shortMessage, `Command failed: ${expectedCommand}`);
+	t.is(originalMessage, cause.message);
+	t.is(message, `${shortMessage}\n${originalMessage}`);
 	t.is(stderr, '');
 	t.true(cause.message.includes(commandStart));
 	t.is(cause.code, 'ENOENT');
@@ -23,34 +25,37 @@ export const assertNonExistent = (t, {name, exitCode, signalName, command, messa
 	assertDurationMs(t, durationMs);
 };
 
-export const assertWindowsNonExistent = (t, {name, exitCode, signalName, command, message, stderr, cause, durationMs}, expectedCommand = nonExistentCommand) => {
+export const assertWindowsNonExistent = (t, {name, exitCode, signalName, command, message, shortMessage, stderr, cause, durationMs}, expectedCommand = nonExistentCommand) => {
 	assertSubprocessErrorName(t, name);
 	t.is(exitCode, 1);
 	t.is(signalName, undefined);
 	t.is(command, expectedCommand);
-	t.is(message, `Command failed with exit code 1: ${expectedCommand}`);
+	t.is(shortMessage, `Command failed with exit code 1: ${expectedCommand}`);
+	t.is(message, `${shortMessage}\n\n${stderr}`);
 	t.true(stderr.includes('not recognized as an internal or external command'));
 	t.is(cause, undefined);
 	assertDurationMs(t, durationMs);
 };
 
-export const assertUnixNonExistentShell = (t, {name, exitCode, signalName, command, message, stderr, cause, durationMs}, expectedCommand = nonExistentCommand) => {
+export const assertUnixNonExistentShell = (t, {name, exitCode, signalName, command, message, shortMessage, stderr, cause, durationMs}, expectedCommand = nonExistentCommand) => {
 	assertSubprocessErrorName(t, name);
 	t.is(exitCode, 127);
 	t.is(signalName, undefined);
 	t.is(command, expectedCommand);
-	t.is(message, `Command failed with exit code 127: ${expectedCommand}`);
+	t.is(shortMessage, `Command failed with exit code 127: ${expectedCommand}`);
+	t.is(message, `${shortMessage}\n\n${stderr}`);
 	t.true(stderr.includes('not found'));
 	t.is(cause, undefined);
 	assertDurationMs(t, durationMs);
 };
 
-export const assertUnixNotFound = (t, {name, exitCode, signalName, command, message, stderr, cause, durationMs}, expectedCommand = nonExistentCommand) => {
+export const assertUnixNotFound = (t, {name, exitCode, signalName, command, message, shortMessage, stderr, cause, durationMs}, expectedCommand = nonExistentCommand) => {
 	assertSubprocessErrorName(t, name);
 	t.is(exitCode, 127);
 	t.is(signalName, undefined);
 	t.is(command, expectedCommand);
-	t.is(message, `Command failed with exit code 127: ${expectedCommand}`);
+	t.is(shortMessage, `Command failed with exit code 127: ${expectedCommand}`);
+	t.is(message, `${shortMessage}\n\n${stderr}`);
 	t.true(stderr.includes('No such file or directory'));
 	t.is(cause, undefined);
 	assertDurationMs(t, durationMs);
@@ -77,6 +82,33 @@ export const assertSigterm = (t, {name, exitCode, signalName, command, message,
 	assertDurationMs(t, durationMs);
 };
 
+export const assertTimeout = (t, {name, exitCode, signalName, command, message, stderr, cause, timedOut, durationMs}, timeout, expectedSignalName = 'SIGTERM') => {
+	assertSubprocessErrorName(t, name);
+	t.is(exitCode, undefined);
+	t.is(signalName, expectedSignalName);
+	t.true(command.startsWith(nodeHangingCommand));
+	t.is(message, `Command timed out after ${timeout} ms: ${command}`);
+	t.is(stderr, '');
+	t.is(cause, undefined);
+	t.true(timedOut);
+	assertDurationMs(t, durationMs);
+};
+
+export const assertCanceled = (t, {name, exitCode, signalName, command, message, shortMessage, originalMessage, stderr, cause, isCanceled, timedOut, durationMs}, expectedCause) => {
+	assertSubprocessErrorName(t, name);
+	t.is(exitCode, undefined);
+	t.is(signalName, 'SIGTERM');
+	t.true(command.startsWith(nodeHangingCommand));
+	t.is(shortMessage, `Command was canceled: ${command}`);
+	t.is(originalMessage, expectedCause?.message);
+	t.is(message, originalMessage === undefined ? shortMessage : `${shortMessage}\n${originalMessage}`);
+	t.is(stderr, '');
+	t.is(cause, expectedCause);
+	t.true(isCanceled);
+	t.false(timedOut);
+	assertDurationMs(t, durationMs);
+};
+
 export const assertEarlyError = (t, {name, exitCode, signalName, command, message, stderr, cause, durationMs}, commandStart = nodeEvalCommandStart) => {
 	assertSubprocessErrorName(t, name);
 	t.is(exitCode, undefined);
@@ -89,24 +121,28 @@ export const assertEarlyError = (t, {name, exitCode, signalName, command, messag
 	assertDurationMs(t, durationMs);
 };
 
-export const assertAbortError = (t, {name, exitCode, signalName, command, stderr, message, cause, durationMs}, expectedCause, expectedCommand = nodeHangingCommand) => {
+export const assertAbortError = (t, {name, exitCode, signalName, command, stderr, message, shortMessage, originalMessage, cause, durationMs}, expectedCause, expectedCommand = nodeHangingCommand) => {
 	assertSubprocessErrorName(t, name);
 	t.is(exitCode, undefined);
 	t.is(signalName, undefined);
 	t.is(command, expectedCommand);
-	t.is(message, `Command failed: ${expectedCommand}`);
+	t.is(shortMessage, `Command failed: ${expectedCommand}`);
+	t.is(originalMessage, 'The operation was aborted');
+	t.is(message, `${shortMessage}\n${originalMessage}`);
 	t.is(stderr, '');
 	t.is(cause.message, 'The operation was aborted');
 	t.is(cause.cause, expectedCause);
 	assertDurationMs(t, durationMs);
 };
 
-export const assertErrorEvent = (t, {name, exitCode, signalName, command, message, stderr, cause, durationMs}, expectedCause, commandStart = nodeEvalCommandStart) => {
+export const assertErrorEvent = (t, {name, exitCode, signalName, command, message, shortMessage, originalMessage, stderr, cause, durationMs}, expectedCause, commandStart = nodeEvalCommandStart) => {
 	assertSubprocessErrorName(t, name);
 	t.is(exitCode, undefined);
 	t.is(signalName, undefined);
 	t.true(command.startsWith(commandStart));
-	t.true(message.startsWith(`Command failed: ${commandStart}`));
+	t.is(shortMessage, `Command failed: ${command}`);
+	t.is(originalMessage, expectedCause.message);
+	t.true(message.startsWith(`${shortMessage}\n${originalMessage}`));
 	t.is(stderr, '');
 	t.is(cause, expectedCause);
 	assertDurationMs(t, durationMs);
@@ -61,6 +61,18 @@ export const nodeDoubleFail = nodeEval(`process.stdin.on("data", chunk => {
 	console.log(chunk.toString().trim() + chunk.toString().trim());
 	process.exit(2);
 });`);
+export const nodeIgnoreSigterm = nodeEval(`process.on("SIGTERM", () => {});
+setInterval(() => {}, 1e3);`);
+export const nodeDelaySigterm = nodeEval(`process.on("SIGTERM", () => {
+	setTimeout(() => {
+		process.exit();
+	}, 1e2);
+});
+setInterval(() => {}, 1e3);`);
+export const nodeSpawnGrandchild = nodeEval(`const {spawn} = require("node:child_process");
+const {pid} = spawn(process.execPath, ["-e", "setInterval(() => {}, 1e3)"], {stdio: "ignore"});
+console.log(pid);
+setInterval(() => {}, 1e3);`);
 export const localBinary = ['ava', ['--version']];
 export const localBinaryCommand = localBinary.flat().join(' ');
 export const [localBinaryCommandStart] = localBinary;
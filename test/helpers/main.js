@@ -1,3 +1,4 @@
+import {readFile} from 'node:fs/promises';
 import path from 'node:path';
 import process from 'node:process';
 import {setTimeout} from 'node:timers/promises';
@@ -37,3 +38,13 @@ export const writeMultibyte = async subprocess => {
 	await setTimeout(1e2);
 	stdin.end(multibyteSecondHalf);
 };
+
+// Zombie processes have exited, even if they are still listed in `/proc`
+export const isProcessRunning = async pid => {
+	try {
+		const stat = await readFile(`/proc/${pid}/stat`, 'utf8');
+		return stat[stat.lastIndexOf(')') + 2] !== 'Z';
+	} catch {
+		return false;
+	}
+};
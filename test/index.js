@@ -1,11 +1,11 @@
 import test from 'ava';
 import spawn from '../source/index.js';
-import {assertSigterm} from './helpers/assert.js';
+import {assertSigterm, assertTimeout} from './helpers/assert.js';
 import {nodePrintStdout, nodeHanging, nodePrint} from './helpers/commands.js';
 
 test('Can pass no arguments', async t => {
 	const error = await t.throwsAsync(spawn(...nodeHanging, {timeout: 1}));
-	assertSigterm(t, error);
+	assertTimeout(t, error, 1);
 });
 
 test('Can pass no arguments nor options', async t => {
@@ -0,0 +1,280 @@
+import {once} from 'node:events';
+import process from 'node:process';
+import {setTimeout} from 'node:timers/promises';
+import test from 'ava';
+import spawn from '../source/index.js';
+import {isWindows, isLinux, isProcessRunning} from './helpers/main.js';
+import {testString} from './helpers/arguments.js';
+import {assertTimeout, assertCanceled, assertFail} from './helpers/assert.js';
+import {
+	nodeHanging,
+	nodePrintStdout,
+	nodePrintFail,
+	nodeIgnoreSigterm,
+	nodeDelaySigterm,
+	nodePassThrough,
+	nodeEval,
+	nodeSpawnGrandchild,
+	nonExistentCommand,
+} from './helpers/commands.js';
+
+test('options.timeout terminates the subprocess', async t => {
+	const error = await t.throwsAsync(spawn(...nodeHanging, {timeout: 1}));
+	assertTimeout(t, error, 1);
+});
+
+test('options.timeout does not apply when the subprocess ends first', async t => {
+	const {stdout} = await spawn(...nodePrintStdout, {timeout: 1e4});
+	t.is(stdout, testString);
+});
+
+test('options.timeout 0 is ignored', async t => {
+	const {stdout} = await spawn(...nodePrintStdout, {timeout: 0});
+	t.is(stdout, testString);
+});
+
+test('error.timedOut is false when the subprocess fails for another reason', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail, {timeout: 1e4}));
+	assertFail(t, error);
+	t.false(error.timedOut);
+});
+
+const testInvalidTimeout = async (t, timeout) => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout, {timeout}));
+	t.is(error.cause.message, `The "timeout" option must be a non-negative integer, not ${timeout}.`);
+	t.false(error.timedOut);
+};
+
+test('options.timeout cannot be negative', testInvalidTimeout, -5);
+test('options.timeout cannot be a float', testInvalidTimeout, 1.5);
+test('options.timeout cannot be a string', testInvalidTimeout, 'x');
+test('options.timeout cannot be Infinity', testInvalidTimeout, Number.POSITIVE_INFINITY);
+
+const testInvalidForceKillAfterDelay = async (t, forceKillAfterDelay) => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout, {forceKillAfterDelay}));
+	t.is(error.cause.message, `The "forceKillAfterDelay" option must be a non-negative integer or false, not ${forceKillAfterDelay}.`);
+};
+
+test('options.forceKillAfterDelay cannot be negative', testInvalidForceKillAfterDelay, -5);
+test('options.forceKillAfterDelay cannot be a string', testInvalidForceKillAfterDelay, 'x');
+test('options.forceKillAfterDelay cannot be true', testInvalidForceKillAfterDelay, true);
+
+test('options.timeout uses options.killSignal', async t => {
+	const error = await t.throwsAsync(spawn(...nodeHanging, {timeout: 1, killSignal: 'SIGINT'}));
+	assertTimeout(t, error, 1, isWindows ? 'SIGTERM' : 'SIGINT');
+});
+
+// Windows does not support signal handlers
+if (!isWindows) {
+	test.serial('options.forceKillAfterDelay sends SIGKILL after options.timeout', async t => {
+		const error = await t.throwsAsync(spawn(...nodeIgnoreSigterm, {timeout: 5e2, forceKillAfterDelay: 1}));
+		assertTimeout(t, error, 5e2, 'SIGKILL');
+	});
+
+	test.serial('options.forceKillAfterDelay does not send SIGKILL if the subprocess exits first', async t => {
+		const error = await t.throwsAsync(spawn(...nodeDelaySigterm, {timeout: 5e2, forceKillAfterDelay: 1e4}));
+		t.true(error.timedOut);
+		t.is(error.signalName, undefined);
+		t.is(error.exitCode, undefined);
+	});
+
+	test.serial('options.forceKillAfterDelay can be false', async t => {
+		const error = await t.throwsAsync(spawn(...nodeDelaySigterm, {timeout: 5e2, forceKillAfterDelay: false}));
+		t.true(error.timedOut);
+		t.is(error.signalName, undefined);
+	});
+}
+
+test('options.cancelSignal terminates the subprocess', async t => {
+	const controller = new AbortController();
+	const subprocess = spawn(...nodeHanging, {cancelSignal: controller.signal});
+	await subprocess.nodeChildProcess;
+	const cause = new Error(testString);
+	controller.abort(cause);
+	const error = await t.throwsAsync(subprocess);
+	assertCanceled(t, error, cause);
+});
+
+test('options.cancelSignal can be already aborted', async t => {
+	const cause = new Error(testString);
+	const error = await t.throwsAsync(spawn(...nodeHanging, {cancelSignal: AbortSignal.abort(cause)}));
+	assertCanceled(t, error, cause);
+});
+
+test('options.cancelSignal uses the default abort reason', async t => {
+	const cancelSignal = AbortSignal.abort();
+	const error = await t.throwsAsync(spawn(...nodeHanging, {cancelSignal}));
+	assertCanceled(t, error, cancelSignal.reason);
+	t.is(error.cause.name, 'AbortError');
+});
+
+test('options.cancelSignal does not apply when the subprocess ends first', async t => {
+	const controller = new AbortController();
+	const {stdout} = await spawn(...nodePrintStdout, {cancelSignal: controller.signal});
+	controller.abort();
+	t.is(stdout, testString);
+});
+
+test('error.isCanceled is false when the subprocess fails for another reason', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail, {cancelSignal: new AbortController().signal}));
+	assertFail(t, error);
+	t.false(error.isCanceled);
+});
+
+test('options.cancelSignal cancels the whole pipeline', async t => {
+	const controller = new AbortController();
+	const cause = new Error(testString);
+	const first = spawn(...nodePassThrough, {cancelSignal: controller.signal});
+	const second = first.pipe(...nodeEval('setInterval(() => {}, 1e3)'));
+	await second.nodeChildProcess;
+	controller.abort(cause);
+	const secondError = await t.throwsAsync(second);
+	const firstError = await t.throwsAsync(first);
+	assertCanceled(t, firstError, cause);
+	assertCanceled(t, secondError, cause);
+	t.is(secondError.pipedFrom, firstError);
+});
+
+test('options.cancelSignal can be set on the destination of a pipeline', async t => {
+	const controller = new AbortController();
+	const cause = new Error(testString);
+	const subprocess = spawn(...nodePrintStdout).pipe(...nodeEval('setInterval(() => {}, 1e3)'), {cancelSignal: controller.signal});
+	await subprocess.nodeChildProcess;
+	controller.abort(cause);
+	const error = await t.throwsAsync(subprocess);
+	assertCanceled(t, error, cause);
+});
+
+test('options.cancelSignal on the destination of a pipeline also cancels its sources', async t => {
+	const controller = new AbortController();
+	const cause = new Error(testString);
+	const first = spawn(...nodeHanging);
+	const second = first.pipe(...nodePassThrough);
+	const third = second.pipe(...nodeEval('setInterval(() => {}, 1e3)'), {cancelSignal: controller.signal});
+	await third.nodeChildProcess;
+	controller.abort(cause);
+	const thirdError = await t.throwsAsync(third);
+	assertCanceled(t, thirdError, cause);
+	assertCanceled(t, thirdError.pipedFrom, cause);
+	assertCanceled(t, thirdError.pipedFrom.pipedFrom, cause);
+	t.is(thirdError.pipeline.length, 3);
+});
+
+test('options.cancelSignal on the destination of a pipeline does not cancel sources that already exited', async t => {
+	const controller = new AbortController();
+	const first = spawn(...nodePrintStdout);
+	const second = first.pipe(...nodeEval('setInterval(() => {}, 1e3)'), {cancelSignal: controller.signal});
+	await first;
+	controller.abort();
+	const error = await t.throwsAsync(second);
+	t.true(error.isCanceled);
+	t.is(error.pipedFrom.stdout, testString);
+	t.false(error.pipedFrom instanceof Error);
+});
+
+test('subprocess.kill() terminates the subprocess', async t => {
+	const subprocess = spawn(...nodeHanging);
+	const [error] = await Promise.all([t.throwsAsync(subprocess), subprocess.kill()]);
+	t.is(error.signalName, 'SIGTERM');
+	t.false(error.isCanceled);
+});
+
+test('subprocess.kill() can use a specific signal', async t => {
+	const subprocess = spawn(...nodeHanging);
+	const [error] = await Promise.all([t.throwsAsync(subprocess), subprocess.kill('SIGKILL')]);
+	t.is(error.signalName, 'SIGKILL');
+});
+
+test('subprocess.kill() treats a null signal like undefined', async t => {
+	const subprocess = spawn(...nodeHanging, {killSignal: 'SIGINT'});
+	const [error] = await Promise.all([t.throwsAsync(subprocess), subprocess.kill(null, null)]);
+	t.is(error.signalName, 'SIGINT');
+});
+
+test('subprocess.kill() uses options.killSignal', async t => {
+	const subprocess = spawn(...nodeHanging, {killSignal: 'SIGKILL'});
+	const [error] = await Promise.all([t.throwsAsync(subprocess), subprocess.kill()]);
+	t.is(error.signalName, 'SIGKILL');
+});
+
+test('subprocess.kill() does nothing if the subprocess already exited', async t => {
+	const subprocess = spawn(...nodePrintStdout);
+	const {stdout} = await subprocess;
+	await subprocess.kill();
+	t.is(stdout, testString);
+});
+
+test('subprocess.kill() does nothing if the subprocess failed to spawn', async t => {
+	const subprocess = spawn(nonExistentCommand);
+	await Promise.all([t.throwsAsync(subprocess), subprocess.kill()]);
+});
+
+if (!isWindows) {
+	test.serial('subprocess.kill() uses options.forceKillAfterDelay', async t => {
+		const subprocess = spawn(...nodeIgnoreSigterm, {forceKillAfterDelay: 1});
+		// Wait for the `SIGTERM` handler to be set up
+		await setTimeout(5e2);
+		const [error] = await Promise.all([t.throwsAsync(subprocess), subprocess.kill()]);
+		t.is(error.signalName, 'SIGKILL');
+	});
+}
+
+// Descendants are only found on Linux
+if (isLinux) {
+	const spawnGrandchild = async options => {
+		const subprocess = spawn(...nodeSpawnGrandchild, options);
+		const {stdout} = await subprocess.nodeChildProcess;
+		const [chunk] = await once(stdout, 'data');
+		return {subprocess, grandchildPid: Number(chunk.toString())};
+	};
+
+	test('subprocess.kill({tree: true}) terminates the descendants', async t => {
+		const {subprocess, grandchildPid} = await spawnGrandchild();
+		t.true(await isProcessRunning(grandchildPid));
+		const [error] = await Promise.all([t.throwsAsync(subprocess), subprocess.kill({tree: true})]);
+		t.false(await isProcessRunning(grandchildPid));
+		t.is(error.signalName, 'SIGTERM');
+	});
+
+	test('subprocess.kill(signal, {tree: true}) sends the signal to the descendants', async t => {
+		const {subprocess, grandchildPid} = await spawnGrandchild();
+		const [error] = await Promise.all([t.throwsAsync(subprocess), subprocess.kill('SIGKILL', {tree: true})]);
+		t.false(await isProcessRunning(grandchildPid));
+		t.is(error.signalName, 'SIGKILL');
+	});
+
+	test('subprocess.kill() does not terminate the descendants by default', async t => {
+		const {subprocess, grandchildPid} = await spawnGrandchild();
+		await Promise.all([t.throwsAsync(subprocess), subprocess.kill()]);
+		t.true(await isProcessRunning(grandchildPid));
+		process.kill(grandchildPid);
+	});
+
+	test('subprocess.kill() uses options.killTree', async t => {
+		const {subprocess, grandchildPid} = await spawnGrandchild({killTree: true});
+		await Promise.all([t.throwsAsync(subprocess), subprocess.kill()]);
+		t.false(await isProcessRunning(grandchildPid));
+	});
+
+	test('subprocess.kill() can override options.killTree', async t => {
+		const {subprocess, grandchildPid} = await spawnGrandchild({killTree: true});
+		await Promise.all([t.throwsAsync(subprocess), subprocess.kill({tree: false})]);
+		t.true(await isProcessRunning(grandchildPid));
+		process.kill(grandchildPid);
+	});
+
+	test('options.killTree applies to options.timeout', async t => {
+		const error = await t.throwsAsync(spawn(...nodeSpawnGrandchild, {timeout: 5e2, killTree: true}));
+		t.true(error.timedOut);
+		t.false(await isProcessRunning(Number(error.stdout)));
+	});
+
+	test('options.killTree applies to options.cancelSignal', async t => {
+		const controller = new AbortController();
+		const {subprocess, grandchildPid} = await spawnGrandchild({cancelSignal: controller.signal, killTree: true});
+		controller.abort();
+		const error = await t.throwsAsync(subprocess);
+		t.true(error.isCanceled);
+		t.false(await isProcessRunning(grandchildPid));
+	});
+}
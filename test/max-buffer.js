@@ -0,0 +1,177 @@
+import test from 'ava';
+import spawn from '../source/index.js';
+import {testString, secondTestString} from './helpers/arguments.js';
+import {assertSubprocessErrorName, assertFail, assertDurationMs} from './helpers/assert.js';
+import {
+	nodeEval,
+	nodePrintStdout,
+	nodePrintStderr,
+	nodePrintBoth,
+	nodePrintFail,
+	nodePrintNoNewline,
+} from './helpers/commands.js';
+
+const assertMaxBuffer = (t, {name, exitCode, command, shortMessage, isMaxBuffer, timedOut, isCanceled, durationMs}, bufferName) => {
+	assertSubprocessErrorName(t, name);
+	t.is(exitCode, undefined);
+	t.is(shortMessage, `Command's ${bufferName} was larger than the "maxBuffer" option: ${command}`);
+	t.true(isMaxBuffer);
+	t.false(timedOut);
+	t.false(isCanceled);
+	assertDurationMs(t, durationMs);
+};
+
+test('options.maxBuffer fails when stdout is too big', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout, {maxBuffer: 2}));
+	assertMaxBuffer(t, error, 'stdout');
+	t.is(error.stdout, testString.slice(0, 2));
+	t.is(error.output, error.stdout);
+});
+
+test('options.maxBuffer fails when stderr is too big', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintStderr, {maxBuffer: 2}));
+	assertMaxBuffer(t, error, 'stderr');
+	t.is(error.stderr, testString.slice(0, 2));
+	t.is(error.output, error.stderr);
+});
+
+test('options.maxBuffer truncates output without failing', async t => {
+	const maxBuffer = testString.length + secondTestString.length;
+	const {stdout, stderr, output} = await spawn(...nodePrintBoth, {maxBuffer});
+	t.is(stdout, testString);
+	t.is(stderr, secondTestString);
+	t.is(output, `${testString}\n${secondTestString}`.slice(0, maxBuffer));
+});
+
+test('options.maxBuffer.lines truncates output without failing', async t => {
+	const {stdout, stderr, output} = await spawn(...nodePrintBoth, {maxBuffer: {lines: 1}});
+	t.is(stdout, testString);
+	t.is(stderr, secondTestString);
+	t.is(output, testString);
+});
+
+const nodePrintMany = nodeEval(`for (let index = 0; index < 1e5; index += 1) {
+	console.log(index);
+}`);
+const manyLines = Array.from({length: 1e5}, (_, index) => String(index));
+
+test('options.maxBuffer applies to large outputs', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintMany, {maxBuffer: {lines: 5e4}}));
+	assertMaxBuffer(t, error, 'stdout');
+	t.is(error.stdout, manyLines.slice(0, 5e4).join('\n'));
+});
+
+test('options.maxBuffer does not fail with large outputs small enough', async t => {
+	const {stdout, output} = await spawn(...nodePrintMany, {maxBuffer: {size: 1e7, lines: 1e5}});
+	t.is(stdout, manyLines.join('\n'));
+	t.is(output, stdout);
+});
+
+const testLargeTail = async (t, maxBuffer, expectedLines, encoding) => {
+	const {stdout, output} = await spawn(...nodePrintMany, {maxBuffer: {...maxBuffer, keep: 'tail'}, encoding});
+	const expectedStdout = `${manyLines.slice(-expectedLines).join('\n')}\n`;
+	t.is(encoding === 'buffer' ? new TextDecoder().decode(stdout) : `${stdout}\n`, expectedStdout);
+	t.deepEqual(output, stdout);
+};
+
+test('options.maxBuffer.keep "tail" keeps the last lines of large outputs', testLargeTail, {lines: 10}, 10);
+test('options.maxBuffer.keep "tail" keeps the last characters of large outputs', testLargeTail, {size: 12}, 2);
+test('options.maxBuffer.keep "tail" keeps the last lines of large outputs, encoding "buffer"', testLargeTail, {lines: 10}, 10, 'buffer');
+test('options.maxBuffer.keep "tail" keeps the last characters of large outputs, encoding "buffer"', testLargeTail, {size: 12}, 2, 'buffer');
+
+test('options.maxBuffer does not fail when the output is small enough', async t => {
+	const {stdout, output} = await spawn(...nodePrintStdout, {maxBuffer: testString.length + 1});
+	t.is(stdout, testString);
+	t.is(output, stdout);
+});
+
+test('options.maxBuffer does not fail when the output is small enough, no final newline', async t => {
+	const {stdout} = await spawn(...nodePrintNoNewline(testString), {maxBuffer: testString.length});
+	t.is(stdout, testString);
+});
+
+test('options.maxBuffer terminates the subprocess', async t => {
+	const error = await t.throwsAsync(spawn(...nodeEval(`console.log("${testString}");
+setInterval(() => {}, 1e3);`), {maxBuffer: 2}));
+	assertMaxBuffer(t, error, 'stdout');
+	t.is(error.signalName, 'SIGTERM');
+});
+
+test('error.isMaxBuffer is false when the subprocess fails for another reason', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail, {maxBuffer: 1e3}));
+	assertFail(t, error);
+	t.false(error.isMaxBuffer);
+});
+
+test('options.maxBuffer can be an object', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout, {maxBuffer: {size: 2}}));
+	assertMaxBuffer(t, error, 'stdout');
+	t.is(error.stdout, testString.slice(0, 2));
+});
+
+const testInvalid = async (t, maxBuffer, message) => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout, {maxBuffer}));
+	t.true(error.cause instanceof TypeError);
+	t.is(error.cause.message, message);
+	t.false(error.isMaxBuffer);
+};
+
+test('options.maxBuffer cannot be a string', testInvalid, '3', 'The "maxBuffer" option must be a non-negative integer or an object, not 3.');
+test('options.maxBuffer cannot be NaN', testInvalid, Number.NaN, 'The "maxBuffer" option must be a non-negative integer or an object, not NaN.');
+test('options.maxBuffer cannot be negative', testInvalid, -1, 'The "maxBuffer" option must be a non-negative integer or an object, not -1.');
+test('options.maxBuffer cannot be null', testInvalid, null, 'The "maxBuffer" option must be a non-negative integer or an object, not null.');
+test('options.maxBuffer.size cannot be a string', testInvalid, {size: '3'}, 'The "maxBuffer.size" option must be a non-negative integer, not 3.');
+test('options.maxBuffer.lines cannot be negative', testInvalid, {lines: -1}, 'The "maxBuffer.lines" option must be a non-negative integer, not -1.');
+test('options.maxBuffer.keep cannot be "head"', testInvalid, {size: 3, keep: 'head'}, 'The "maxBuffer.keep" option must be "error" or "tail", not "head".');
+test('options.maxBuffer requires size or lines', testInvalid, {keep: 'tail'}, 'The "maxBuffer" option must have a "size" or "lines" property.');
+
+const testLines = async (t, input, lines, expectedStdout) => {
+	const error = await t.throwsAsync(spawn(...nodePrintNoNewline(input), {maxBuffer: {lines}}));
+	assertMaxBuffer(t, error, 'stdout');
+	t.is(error.stdout, expectedStdout);
+};
+
+test('options.maxBuffer.lines fails when there are too many lines', testLines, 'a\nb\nc\n', 2, 'a\nb');
+test('options.maxBuffer.lines fails when there are too many lines, no final newline', testLines, 'a\nb\nc', 2, 'a\nb');
+test('options.maxBuffer.lines fails when there are too many lines, partial line', testLines, 'a\nb', 1, 'a');
+test('options.maxBuffer.lines can be 0', testLines, 'a', 0, '');
+
+const testLinesSuccess = async (t, input, lines) => {
+	const {stdout} = await spawn(...nodePrintNoNewline(input), {maxBuffer: {lines}});
+	t.is(stdout, input.replace(/\n$/, ''));
+};
+
+test('options.maxBuffer.lines does not fail when there are few enough lines', testLinesSuccess, 'a\nb\n', 2);
+test('options.maxBuffer.lines does not fail when there are few enough lines, no final newline', testLinesSuccess, 'a\nb', 2);
+test('options.maxBuffer.lines does not fail when there are few enough lines, initial newline', testLinesSuccess, '\nb', 2);
+
+const testTail = async (t, input, maxBuffer, expectedStdout) => {
+	const {stdout, output, isMaxBuffer} = await spawn(...nodePrintNoNewline(input), {maxBuffer: {...maxBuffer, keep: 'tail'}});
+	t.is(stdout, expectedStdout);
+	t.is(output, stdout);
+	t.is(isMaxBuffer, undefined);
+};
+
+test('options.maxBuffer.keep "tail" keeps the last characters', testTail, 'abcdef', {size: 2}, 'ef');
+test('options.maxBuffer.keep "tail" keeps the last lines', testTail, 'a\nb\nc\n', {lines: 2}, 'b\nc');
+test('options.maxBuffer.keep "tail" keeps the last lines, no final newline', testTail, 'a\nb\nc', {lines: 2}, 'b\nc');
+test('options.maxBuffer.keep "tail" keeps the last lines, initial newline', testTail, '\na\nb', {lines: 2}, 'a\nb');
+test('options.maxBuffer.keep "tail" keeps the last lines, many newlines', testTail, '\n\n\n', {lines: 2}, '\n');
+test('options.maxBuffer.keep "tail" applies both size and lines', testTail, 'a\nbcd\n', {size: 3, lines: 2}, 'cd');
+test('options.maxBuffer.keep "tail" does nothing when the output is small enough', testTail, 'a\nb', {size: 10, lines: 10}, 'a\nb');
+
+test('options.maxBuffer.keep "tail" applies to result.output', async t => {
+	const {stdout, stderr, output} = await spawn(...nodePrintBoth, {maxBuffer: {size: secondTestString.length + 1, keep: 'tail'}});
+	t.is(stdout, testString);
+	t.is(stderr, secondTestString);
+	t.is(output, secondTestString);
+});
+
+test('options.maxBuffer.keep "tail" applies to error.stderr', async t => {
+	const error = await t.throwsAsync(spawn(...nodeEval(`console.error("${testString}");
+console.error("${secondTestString}");
+process.exit(2);`), {maxBuffer: {lines: 1, keep: 'tail'}}));
+	assertFail(t, error);
+	t.is(error.stderr, secondTestString);
+	t.false(error.isMaxBuffer);
+});
@@ -1,5 +1,6 @@
 import path from 'node:path';
 import process from 'node:process';
+import {setTimeout} from 'node:timers/promises';
 import {fileURLToPath} from 'node:url';
 import test from 'ava';
 import pathKey from 'path-key';
@@ -15,6 +16,7 @@ import {
 	assertNonExistent,
 	assertWindowsNonExistent,
 	assertUnixNotFound,
+	assertErrorEvent,
 } from './helpers/assert.js';
 import {
 	nodePrint,
@@ -114,6 +116,56 @@ test('options.stdin can be {string: string}', testInput, {stdin: {string: testSt
 test('options.stdio[0] can be {string: string}', testInput, {stdio: [{string: testString}, 'pipe', 'pipe']}, testString);
 test('options.stdin can be {string: ""}', testInput, {stdin: {string: ''}}, '');
 test('options.stdio[0] can be {string: ""}', testInput, {stdio: [{string: ''}, 'pipe', 'pipe']}, '');
+test('options.stdin can be {bytes: Uint8Array}', testInput, {stdin: {bytes: new TextEncoder().encode(testString)}}, testString);
+test('options.stdio[0] can be {bytes: Uint8Array}', testInput, {stdio: [{bytes: new TextEncoder().encode(testString)}, 'pipe', 'pipe']}, testString);
+test('options.stdin can be {bytes: empty Uint8Array}', testInput, {stdin: {bytes: new Uint8Array()}}, '');
+
+const generateInput = async function * () {
+	yield testString;
+	await setTimeout(0);
+	yield new TextEncoder().encode(secondTestString);
+};
+
+test('options.stdin can be an async iterable', testInput, {stdin: generateInput()}, `${testString}${secondTestString}`);
+test('options.stdio[0] can be an async iterable', testInput, {stdio: [generateInput(), 'pipe', 'pipe']}, `${testString}${secondTestString}`);
+
+test('options.stdin async iterable errors are propagated', async t => {
+	const cause = new Error(testString);
+	const generateError = async function * () {
+		yield testString;
+		throw cause;
+	};
+
+	const error = await t.throwsAsync(spawn(...nodePassThrough, {stdin: generateError()}));
+	assertErrorEvent(t, error, cause);
+});
+
+test('options.stdin async iterable is not fully consumed if the subprocess exits early', async t => {
+	let count = 0;
+	const generateInfinite = async function * () {
+		while (true) {
+			count++;
+			yield testString;
+			// eslint-disable-next-line no-await-in-loop
+			await setTimeout(0);
+		}
+	};
+
+	const {stdout} = await spawn(...nodePrintStdout, {stdin: generateInfinite()});
+	t.is(stdout, testString);
+	t.true(count > 0);
+});
+
+const testSubprocessInput = async (t, getOptions) => {
+	const source = spawn(...nodePrintStdout);
+	const error = await t.throwsAsync(spawn(...nodePassThrough, getOptions(source)));
+	t.is(error.cause.message, 'The "stdin" option cannot be a subprocess: please use "subprocess.pipe()" instead.');
+	const {stdout} = await source;
+	t.is(stdout, testString);
+};
+
+test('options.stdin cannot be a subprocess', testSubprocessInput, source => ({stdin: source}));
+test('options.stdio[0] cannot be a subprocess', testSubprocessInput, source => ({stdio: [source, 'pipe', 'pipe']}));
 
 const testLocalBinaryExec = async (t, cwd) => {
 	const {stdout} = await spawn(...localBinary, {preferLocal: true, cwd});
@@ -0,0 +1,110 @@
+import test from 'ava';
+import spawn from '../source/index.js';
+import {arrayFromAsync} from './helpers/main.js';
+import {testString, secondTestString} from './helpers/arguments.js';
+import {assertFail, assertSubprocessErrorName} from './helpers/assert.js';
+import {
+	nodeEval,
+	nodePrintStdout,
+	nodePrintFail,
+	nodePrintNoNewline,
+} from './helpers/commands.js';
+
+const testValue = {[testString]: [secondTestString, 1, true, null]};
+const nodePrintJson = nodeEval(`console.log(JSON.stringify(${JSON.stringify(testValue)}, null, 2))`);
+const nodePrintNdjson = nodeEval(`console.log(JSON.stringify(${JSON.stringify(testValue)}));
+console.log("");
+console.log("1");
+console.error("\\"${testString}\\"");`);
+const nodePrintInvalidNdjson = nodeEval(`console.log("1");
+console.log("${testString}");
+console.log("2");`);
+
+test('subprocess.json() parses stdout', async t => {
+	t.deepEqual(await spawn(...nodePrintJson).json(), testValue);
+});
+
+test('subprocess.json() works with encoding: "buffer"', async t => {
+	t.deepEqual(await spawn(...nodePrintJson, {encoding: 'buffer'}).json(), testValue);
+});
+
+test('subprocess.json() works with .pipe()', async t => {
+	t.deepEqual(await spawn(...nodePrintStdout).pipe(...nodeEval('console.log(JSON.stringify("test"))')).json(), testString);
+});
+
+test('subprocess.json() fails on invalid JSON', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout).json());
+	assertSubprocessErrorName(t, error.name);
+	t.is(error.shortMessage, `Command's stdout is not valid JSON: ${error.command}`);
+	t.true(error.command.startsWith('node -e'));
+	t.true(error.cause instanceof SyntaxError);
+	t.is(error.stdout, testString);
+	t.is(error.exitCode, undefined);
+	t.false(error.timedOut);
+});
+
+test('subprocess.json() fails on empty stdout', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintNoNewline('')).json());
+	t.true(error.cause instanceof SyntaxError);
+	t.is(error.stdout, '');
+});
+
+test('subprocess.json() propagates subprocess failures', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail).json());
+	assertFail(t, error);
+});
+
+test('subprocess.lines() splits stdout', async t => {
+	const lines = await spawn(...nodePrintNdjson).lines();
+	t.deepEqual(lines, [JSON.stringify(testValue), '', '1']);
+});
+
+test('subprocess.lines() handles Windows newlines', async t => {
+	const lines = await spawn(...nodePrintNoNewline(`${testString}\r\n${secondTestString}\r\n`)).lines();
+	t.deepEqual(lines, [testString, secondTestString]);
+});
+
+test('subprocess.lines() works with encoding: "buffer"', async t => {
+	const lines = await spawn(...nodePrintNoNewline(`${testString}\n${secondTestString}\n`), {encoding: 'buffer'}).lines();
+	t.deepEqual(lines, [testString, secondTestString]);
+});
+
+test('subprocess.lines() returns an empty array on empty stdout', async t => {
+	t.deepEqual(await spawn(...nodePrintNoNewline('')).lines(), []);
+});
+
+test('subprocess.lines() propagates subprocess failures', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail).lines());
+	assertFail(t, error);
+});
+
+test('subprocess.stdout.json() iterates over NDJSON lines', async t => {
+	const subprocess = spawn(...nodePrintNdjson);
+	t.deepEqual(await arrayFromAsync(subprocess.stdout.json()), [testValue, 1]);
+	const {stdout, stderr} = await subprocess;
+	t.is(stdout, '');
+	t.is(stderr, '');
+});
+
+test('subprocess.stderr.json() iterates over NDJSON lines', async t => {
+	const subprocess = spawn(...nodePrintNdjson);
+	t.deepEqual(await arrayFromAsync(subprocess.stderr.json()), [testString]);
+	await subprocess;
+});
+
+test('subprocess.stdout.json() fails on invalid lines', async t => {
+	const subprocess = spawn(...nodePrintInvalidNdjson);
+	const error = await t.throwsAsync(arrayFromAsync(subprocess.stdout.json()));
+	assertSubprocessErrorName(t, error.name);
+	t.is(error.shortMessage, `Command's stdout line 2 is not valid JSON: ${error.command}\n${testString}`);
+	t.true(error.command.startsWith('node -e'));
+	t.true(error.cause instanceof SyntaxError);
+	t.is(error.exitCode, undefined);
+	const {stdout} = await subprocess;
+	t.is(stdout, '');
+});
+
+test('subprocess.stdout.json() propagates subprocess failures', async t => {
+	const error = await t.throwsAsync(arrayFromAsync(spawn(...nodeEval('console.log("1"); process.exit(2);')).stdout.json()));
+	assertFail(t, error);
+});
@@ -0,0 +1,66 @@
+import {performance} from 'node:perf_hooks';
+import test from 'ava';
+import spawn from '../source/index.js';
+import {testString} from './helpers/arguments.js';
+import {nodeEval, nonExistentCommand} from './helpers/commands.js';
+
+// Tests run concurrently, so each one uses a different command
+const getEntries = (command, type) => performance.getEntriesByName(command, type);
+
+test('options.performance adds a mark and a measure', async t => {
+	const subprocess = spawn(...nodeEval(`setTimeout(() => console.log("${testString}"), 1e2) // success`), {performance: true});
+	const {pid} = await subprocess.nodeChildProcess;
+	const {command, durationMs} = await subprocess;
+	const [mark] = getEntries(command, 'mark');
+	t.deepEqual(mark.detail, {pid});
+	const [measure] = getEntries(command, 'measure');
+	t.true(Math.abs(measure.duration - durationMs) < 1);
+	t.true(measure.startTime <= mark.startTime);
+	t.is(measure.detail.pid, pid);
+	t.false(measure.detail.failed);
+	t.is(measure.detail.exitCode, 0);
+	t.is(measure.detail.signalName, undefined);
+	t.true(measure.detail.firstOutputMs >= 1e2 - 1);
+	t.true(measure.detail.firstOutputMs <= measure.duration);
+});
+
+test('options.performance measures failed subprocesses', async t => {
+	const error = await t.throwsAsync(spawn(...nodeEval('process.exit(2) // failure'), {performance: true}));
+	const [measure] = getEntries(error.command, 'measure');
+	t.true(measure.detail.failed);
+	t.is(measure.detail.exitCode, 2);
+	t.is(measure.detail.firstOutputMs, undefined);
+});
+
+test('options.performance measures subprocesses that fail to spawn', async t => {
+	const error = await t.throwsAsync(spawn(nonExistentCommand, {performance: true}));
+	t.deepEqual(getEntries(error.command, 'mark'), []);
+	const [measure] = getEntries(error.command, 'measure');
+	t.true(measure.detail.failed);
+	t.is(measure.detail.pid, undefined);
+});
+
+test('options.performance measures the first output when iterating', async t => {
+	const subprocess = spawn(...nodeEval(`console.log("${testString}") // iterate`), {performance: true});
+	for await (const line of subprocess) {
+		t.is(line, testString);
+	}
+
+	const {command} = await subprocess;
+	const [measure] = getEntries(command, 'measure');
+	t.true(measure.detail.firstOutputMs >= 0);
+});
+
+test('options.performance spans all retries', async t => {
+	const error = await t.throwsAsync(spawn(...nodeEval('process.exit(2) // retry'), {performance: true, retry: {retries: 1, delay: 1e2}}));
+	t.is(getEntries(error.command, 'mark').length, 2);
+	const measures = getEntries(error.command, 'measure');
+	t.is(measures.length, 1);
+	t.true(measures[0].duration >= 1e2);
+});
+
+test('options.performance is false by default', async t => {
+	const {command} = await spawn(...nodeEval(`console.log("${testString}") // default`));
+	t.deepEqual(getEntries(command, 'mark'), []);
+	t.deepEqual(getEntries(command, 'measure'), []);
+});
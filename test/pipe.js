@@ -1,9 +1,10 @@
+import {Buffer} from 'node:buffer';
 import {createReadStream, createWriteStream} from 'node:fs';
 import {readFile} from 'node:fs/promises';
 import {once} from 'node:events';
 import {temporaryWriteTask} from 'tempy';
 import test from 'ava';
-import spawn from '../source/index.js';
+import spawn, {SubprocessError} from '../source/index.js';
 import {
 	isWindows,
 	FIXTURES_URL,
@@ -13,6 +14,7 @@ import {
 } from './helpers/main.js';
 import {
 	testString,
+	secondTestString,
 	testUpperCase,
 	testDoubleUpperCase,
 	testDouble,
@@ -22,11 +24,13 @@ import {
 	assertFail,
 	assertEarlyError,
 	assertErrorEvent,
-	assertSigterm,
+	assertTimeout,
 } from './helpers/assert.js';
 import {
 	nodeEval,
 	nodePrintStdout,
+	nodePrintStderr,
+	nodePrintBoth,
 	nodePassThrough,
 	nodeToUpperCase,
 	nodeToUpperCaseFail,
@@ -200,6 +204,96 @@ test('.pipe().pipe() all fail', async t => {
 	t.is(secondError.output, secondError.stdout);
 });
 
+test('result.pipeline without .pipe()', async t => {
+	const result = await spawn(...nodePrintStdout);
+	t.deepEqual(result.pipeline.map(({stdout}) => stdout), [testString]);
+	t.is(result.pipeline[0], result);
+});
+
+test('error.pipeline without .pipe()', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail));
+	t.is(error.pipeline.length, 1);
+	t.is(error.pipeline[0], error);
+});
+
+test('error.pipeline without .pipe(), early error', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout, earlyErrorOptions));
+	t.is(error.pipeline.length, 1);
+	t.is(error.pipeline[0], error);
+});
+
+test('result.pipeline with .pipe().pipe()', async t => {
+	const first = spawn(...nodePrintStdout);
+	const second = first.pipe(...nodeToUpperCase);
+	const thirdResult = await second.pipe(...nodeDouble);
+	const [firstResult, secondResult] = await Promise.all([first, second]);
+	t.deepEqual(thirdResult.pipeline.map(({stdout}) => stdout), [testString, testUpperCase, testDoubleUpperCase]);
+	t.is(thirdResult.pipeline[0], firstResult);
+	t.is(thirdResult.pipeline[1], secondResult);
+	t.is(thirdResult.pipeline[2], thirdResult);
+	t.deepEqual(secondResult.pipeline, [firstResult, secondResult]);
+	t.deepEqual(firstResult.pipeline, [firstResult]);
+	for (const {command, durationMs} of thirdResult.pipeline) {
+		t.true(command.startsWith('node -e'));
+		assertDurationMs(t, durationMs);
+	}
+});
+
+test('error.pipeline with .pipe().pipe() destination fail', async t => {
+	const first = spawn(...nodePrintStdout).pipe(...nodeToUpperCase);
+	const secondError = await t.throwsAsync(first.pipe(...nodeDoubleFail));
+	t.deepEqual(secondError.pipeline.map(({stdout}) => stdout), [testString, testUpperCase, testDoubleUpperCase]);
+	t.deepEqual(secondError.pipeline.map(({exitCode}) => exitCode), [undefined, undefined, 2]);
+	t.is(secondError.pipeline.at(-1), secondError);
+});
+
+test('error.pipeline with .pipe().pipe() all fail', async t => {
+	const first = spawn(...nodePrintFail).pipe(...nodeToUpperCaseFail);
+	const secondError = await t.throwsAsync(first.pipe(...nodeDoubleFail));
+	const firstError = await t.throwsAsync(first);
+	t.deepEqual(secondError.pipeline.map(({stdout}) => stdout), [testString, testUpperCase, testDoubleUpperCase]);
+	t.true(secondError.pipeline.every(error => error instanceof SubprocessError));
+	t.deepEqual(firstError.pipeline, secondError.pipeline.slice(0, -1));
+});
+
+test('error.pipeline with .pipe() source fail', async t => {
+	const first = spawn(...nodePrintFail);
+	const firstError = await t.throwsAsync(first.pipe(...nodeToUpperCase));
+	t.deepEqual(firstError.pipeline, [firstError]);
+});
+
+test('result can be serialized to JSON', async t => {
+	const result = await spawn(...nodePrintStdout).pipe(...nodeToUpperCase);
+	const json = JSON.stringify(result);
+	const {stdout, pipedFrom, pipeline} = JSON.parse(json);
+	t.is(stdout, testUpperCase);
+	t.is(pipedFrom.stdout, testString);
+	t.is(pipeline, undefined);
+});
+
+test('error can be serialized to JSON', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail));
+	const json = JSON.stringify(error);
+	const {stdout, exitCode} = JSON.parse(json);
+	t.is(stdout, testString);
+	t.is(exitCode, 2);
+});
+
+test('error can be serialized to JSON, with .pipe()', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail).pipe(...nodeToUpperCaseFail));
+	const json = JSON.stringify(error);
+	const {pipedFrom} = JSON.parse(json);
+	t.is(pipedFrom.exitCode, 2);
+});
+
+test('result.pipeline with .tee()', async t => {
+	const first = spawn(...nodePrintStdout);
+	const [secondResult, thirdResult] = await first.tee([nodeToUpperCase, nodeDouble]);
+	const firstResult = await first;
+	t.deepEqual(secondResult.pipeline, [firstResult, secondResult]);
+	t.deepEqual(thirdResult.pipeline, [firstResult, thirdResult]);
+});
+
 // Cannot guarantee that `cat` exists on Windows
 if (!isWindows) {
 	test('.pipe() without arguments', async t => {
@@ -244,7 +338,7 @@ test.serial('.pipe() which does not read stdin, source fails last', async t => {
 
 test('.pipe() which has hanging stdin', async t => {
 	const error = await t.throwsAsync(spawn(...nodeHanging, {timeout: 1e3}).pipe(...nodePassThrough));
-	assertSigterm(t, error);
+	assertTimeout(t, error, 1e3);
 	t.is(error.stdout, '');
 	t.is(error.output, '');
 });
@@ -285,6 +379,51 @@ test('.pipe() with stdout stream in source', async t => {
 	});
 });
 
+const testPipeFrom = async (t, source, from, expectedStdout) => {
+	const {stdout} = await spawn(...source).pipe(...nodePassThrough, {from});
+	t.is(stdout, expectedStdout);
+};
+
+test('.pipe() with from: "stdout"', testPipeFrom, nodePrintBoth, 'stdout', testString);
+test('.pipe() with from: undefined', testPipeFrom, nodePrintBoth, undefined, testString);
+test('.pipe() with from: "stderr"', testPipeFrom, nodePrintBoth, 'stderr', secondTestString);
+test('.pipe() with from: "all"', testPipeFrom, nodePrintBoth, 'all', `${testString}\n${secondTestString}`);
+test('.pipe() with from: "all" and only stdout', testPipeFrom, nodePrintStdout, 'all', testString);
+test('.pipe() with from: "all" and only stderr', testPipeFrom, nodePrintStderr, 'all', testString);
+
+test('.pipe() with from: "stderr" keeps the source stderr', async t => {
+	const first = spawn(...nodePrintBoth);
+	const {stdout, pipedFrom} = await first.pipe(...nodeToUpperCase, {from: 'stderr'});
+	t.is(stdout, secondTestString.toUpperCase());
+	t.is(pipedFrom.stdout, testString);
+	t.is(pipedFrom.stderr, secondTestString);
+});
+
+test('.pipe() with from: "stderr" can be chained', async t => {
+	const {stdout} = await spawn(...nodePrintStderr)
+		.pipe(...nodeToUpperCaseStderr, {from: 'stderr'})
+		.pipe(...nodePassThrough, {from: 'stderr'});
+	t.is(stdout, testUpperCase);
+});
+
+const testPipeFromMissing = async (t, options, from, streamName) => {
+	await t.throwsAsync(
+		spawn(...nodePrintBoth, options).pipe(...nodePassThrough, {from}),
+		{message: `The "${streamName}" option must be set on the last "spawn()" call in the pipeline.`},
+	);
+};
+
+test('.pipe() with from: "stderr" and stderr "ignore" in source', testPipeFromMissing, {stderr: 'ignore'}, 'stderr', 'stderr');
+test('.pipe() with from: "all" and stdout "ignore" in source', testPipeFromMissing, {stdout: 'ignore'}, 'all', 'stdout');
+test('.pipe() with from: "all" and stderr "ignore" in source', testPipeFromMissing, {stderr: 'ignore'}, 'all', 'stderr');
+
+test('.pipe() with invalid from', async t => {
+	await t.throwsAsync(
+		spawn(...nodePrintStdout).pipe(...nodePassThrough, {from: 'stdin'}),
+		{message: 'The "from" option must be "stdout", "stderr" or "all", not "stdin".'},
+	);
+});
+
 test('.pipe() + stdout/stderr iteration', async t => {
 	const subprocess = spawn(...nodePrintStdout).pipe(...nodeToUpperCase);
 	const lines = await arrayFromAsync(subprocess);
@@ -363,3 +502,180 @@ test('.pipe() one source to multiple destinations', async t => {
 	t.is(thirdResult.stdout, testDouble);
 	t.is(thirdResult.output, thirdResult.stdout);
 });
+
+const nodePrintForever = nodeEval(`setInterval(() => {
+	console.log("${testString}");
+}, 0);
+process.stdout.on("error", () => {
+	process.exit(2);
+});`);
+const nodePrintFirstLine = nodeEval(`process.stdin.once("data", chunk => {
+	console.log(chunk.toString().split("\\n")[0]);
+	process.exit();
+});`);
+
+test('.pipe() with pipefail: "all" fails when the source fails', async t => {
+	const first = spawn(...nodePrintForever);
+	const secondError = await t.throwsAsync(first.pipe(...nodePrintFirstLine, {pipefail: 'all'}));
+	const firstError = await t.throwsAsync(first);
+	t.is(secondError, firstError);
+	t.is(firstError.exitCode, 2);
+});
+
+test('.pipe() with pipefail: "last" ignores source failures', async t => {
+	const first = spawn(...nodePrintForever);
+	const secondResult = await first.pipe(...nodePrintFirstLine, {pipefail: 'last'});
+	const firstError = await t.throwsAsync(first);
+	t.is(secondResult.stdout, testString);
+	t.is(secondResult.pipedFrom, firstError);
+	t.deepEqual(secondResult.pipeline, [firstError, secondResult]);
+	t.is(firstError.exitCode, 2);
+});
+
+test('.pipe() with pipefail: "last" does not ignore destination failures', async t => {
+	const first = spawn(...nodePrintFail);
+	const secondError = await t.throwsAsync(first.pipe(...nodeToUpperCaseFail, {pipefail: 'last'}));
+	const firstError = await t.throwsAsync(first);
+	assertFail(t, secondError);
+	t.not(secondError, firstError);
+	t.is(secondError.pipedFrom, firstError);
+});
+
+test('.pipe() with pipefail: "last" when the source succeeds', async t => {
+	const {stdout, pipedFrom} = await spawn(...nodePrintStdout).pipe(...nodeToUpperCase, {pipefail: 'last'});
+	t.is(stdout, testUpperCase);
+	t.is(pipedFrom.stdout, testString);
+});
+
+test('.pipe().pipe() with pipefail: "last" on the first .pipe()', async t => {
+	const {stdout, pipeline} = await spawn(...nodePrintFail)
+		.pipe(...nodeToUpperCase, {pipefail: 'last'})
+		.pipe(...nodeDouble);
+	t.is(stdout, testDoubleUpperCase);
+	t.true(pipeline[0] instanceof SubprocessError);
+	t.false(pipeline[1] instanceof SubprocessError);
+});
+
+const testPipefailFunction = async (t, returnValue) => {
+	const first = spawn(...nodePrintFail);
+	const errors = [];
+	const second = first.pipe(...nodeToUpperCase, {
+		pipefail(error) {
+			errors.push(error);
+			return returnValue;
+		},
+	});
+	const firstError = await t.throwsAsync(first);
+
+	if (returnValue) {
+		t.is(await t.throwsAsync(second), firstError);
+	} else {
+		const {stdout, pipedFrom} = await second;
+		t.is(stdout, testUpperCase);
+		t.is(pipedFrom, firstError);
+	}
+
+	t.deepEqual(errors, [firstError]);
+};
+
+test('.pipe() with pipefail function returning true', testPipefailFunction, true);
+test('.pipe() with pipefail function returning false', testPipefailFunction, false);
+
+test('.pipe() with pipefail function, EPIPE', async t => {
+	const {stdout} = await spawn(...nodePrintForever)
+		.pipe(...nodePrintFirstLine, {pipefail: error => error.exitCode !== 2});
+	t.is(stdout, testString);
+});
+
+test('.pipe() with pipefail function is not called when the source succeeds', async t => {
+	const {stdout} = await spawn(...nodePrintStdout).pipe(...nodeToUpperCase, {pipefail: t.fail});
+	t.is(stdout, testUpperCase);
+});
+
+test('.pipe() with invalid pipefail', async t => {
+	await t.throwsAsync(
+		spawn(...nodePrintStdout).pipe(...nodePassThrough, {pipefail: 'first'}),
+		{message: 'The "pipefail" option must be "all", "last" or a function, not "first".'},
+	);
+});
+
+test('.tee() success', async t => {
+	const first = spawn(...nodePrintStdout);
+	const [secondResult, thirdResult] = await first.tee([nodeToUpperCase, nodeDouble]);
+	const firstResult = await first;
+	t.is(secondResult.pipedFrom, firstResult);
+	t.is(thirdResult.pipedFrom, firstResult);
+	t.is(firstResult.stdout, testString);
+	t.is(secondResult.stdout, testUpperCase);
+	t.is(thirdResult.stdout, testDouble);
+	assertDurationMs(t, secondResult.durationMs);
+});
+
+test('.tee() with no destinations', async t => {
+	const first = spawn(...nodePrintStdout);
+	t.deepEqual(await first.tee([]), []);
+	const {stdout} = await first;
+	t.is(stdout, testString);
+});
+
+test('.tee() with options', async t => {
+	const [secondResult, thirdResult] = await spawn(...nodePrintBoth).tee([
+		[...nodePassThrough, {from: 'stderr'}],
+		[...nodeToUpperCase, {encoding: 'hex'}],
+	]);
+	t.is(secondResult.stdout, secondTestString);
+	t.is(thirdResult.stdout, Buffer.from(`${testUpperCase}\n`).toString('hex'));
+});
+
+test('.tee() one destination fails', async t => {
+	const first = spawn(...nodePrintStdout);
+	const [secondError, thirdResult] = await first.tee([nodeToUpperCaseFail, nodeDouble]);
+	const firstResult = await first;
+	assertFail(t, secondError);
+	t.is(secondError.pipedFrom, firstResult);
+	t.is(secondError.stdout, testUpperCase);
+	t.is(thirdResult.pipedFrom, firstResult);
+	t.is(thirdResult.stdout, testDouble);
+});
+
+const nodePrintManyLines = nodeEval(`for (let index = 0; index < 2e5; index += 1) {
+	console.log(index);
+}`);
+const nodeReadFirstLine = nodeEval(`process.stdin.once("data", chunk => {
+	console.log(chunk.toString().split("\\n")[0]);
+	process.exit();
+});`);
+const nodeCountLines = nodeEval(`let count = 0;
+process.stdin.on("data", chunk => {
+	count += chunk.toString().split("\\n").length - 1;
+});
+process.stdin.on("end", () => {
+	console.log(count);
+});`);
+
+test('.tee() destination exiting early does not interrupt the other destinations', async t => {
+	const first = spawn(...nodePrintManyLines);
+	const [secondResult, thirdResult] = await first.tee([nodeReadFirstLine, nodeCountLines]);
+	const {stdout} = await first;
+	t.is(secondResult.stdout, '0');
+	t.is(thirdResult.stdout, '200000');
+	t.is(stdout.split('\n').length, 2e5);
+});
+
+test('.tee() source fails', async t => {
+	const first = spawn(...nodePrintFail);
+	const [secondError, thirdError] = await first.tee([nodeToUpperCase, nodeDouble]);
+	const firstError = await t.throwsAsync(first);
+	assertFail(t, firstError);
+	t.is(secondError, firstError);
+	t.is(thirdError, firstError);
+});
+
+test('.tee() can be chained after .pipe()', async t => {
+	const [secondResult, thirdResult] = await spawn(...nodePrintStdout)
+		.pipe(...nodeToUpperCase)
+		.tee([nodePassThrough, nodeDouble]);
+	t.is(secondResult.stdout, testUpperCase);
+	t.is(thirdResult.stdout, testDoubleUpperCase);
+	t.is(thirdResult.pipedFrom.pipedFrom.stdout, testString);
+});
@@ -0,0 +1,149 @@
+import test from 'ava';
+import spawn from '../source/index.js';
+import {testString, testUpperCase} from './helpers/arguments.js';
+import {assertNonExistent} from './helpers/assert.js';
+import {
+	nodePrintStdout,
+	nodePrintSleep,
+	nodeToUpperCase,
+	nodeHanging,
+	nonExistentCommand,
+} from './helpers/commands.js';
+
+const assertQueuedCanceled = (t, {isCanceled, signalName, shortMessage, command, cause, stdout}, expectedCause) => {
+	t.true(isCanceled);
+	t.is(signalName, undefined);
+	t.is(shortMessage, `Command was canceled: ${command}`);
+	t.is(cause, expectedCause);
+	t.is(stdout, '');
+};
+
+test('spawn.pool() limits how many subprocesses run at once', async t => {
+	const pool = spawn.pool({concurrency: 2});
+	const subprocesses = [pool(...nodePrintSleep), pool(...nodePrintSleep), pool(...nodePrintSleep)];
+	t.is(pool.running, 2);
+	t.is(pool.pending, 1);
+	const results = await Promise.all(subprocesses);
+	t.deepEqual(results.map(({stdout}) => stdout), [testString, testString, testString]);
+	t.is(pool.running, 0);
+	t.is(pool.pending, 0);
+});
+
+test('spawn.pool() starts queued subprocesses in order', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const order = [];
+	const runInOrder = async (name, subprocess) => {
+		await subprocess;
+		order.push(name);
+	};
+
+	await Promise.all([
+		runInOrder('first', pool(...nodePrintSleep)),
+		runInOrder('second', pool(...nodePrintStdout)),
+	]);
+	t.deepEqual(order, ['first', 'second']);
+});
+
+test('spawn.pool() concurrency can be Infinity', async t => {
+	const pool = spawn.pool({concurrency: Number.POSITIVE_INFINITY});
+	const subprocesses = [pool(...nodePrintStdout), pool(...nodePrintStdout)];
+	t.is(pool.running, 2);
+	t.is(pool.pending, 0);
+	await Promise.all(subprocesses);
+});
+
+const testInvalidConcurrency = (t, concurrency) => {
+	t.throws(() => spawn.pool({concurrency}), {message: `The "concurrency" option must be a positive integer, not ${concurrency}.`});
+};
+
+test('spawn.pool() concurrency cannot be 0', testInvalidConcurrency, 0);
+test('spawn.pool() concurrency cannot be a float', testInvalidConcurrency, 1.5);
+test('spawn.pool() concurrency cannot be undefined', testInvalidConcurrency, undefined);
+
+test('pool.onIdle() resolves once all subprocesses have exited', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const subprocesses = [pool(...nodePrintSleep), pool(...nodePrintStdout)];
+	await pool.onIdle();
+	t.is(pool.running, 0);
+	t.is(pool.pending, 0);
+	await Promise.all(subprocesses);
+});
+
+test('pool.onIdle() resolves right away if no subprocesses are running', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	await pool.onIdle();
+	t.is(pool.running, 0);
+});
+
+test('options.cancelSignal cancels queued subprocesses', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const controller = new AbortController();
+	const first = pool(...nodePrintSleep);
+	const second = pool(...nodeHanging, {cancelSignal: controller.signal});
+	t.is(pool.pending, 1);
+	const cause = new Error(testString);
+	controller.abort(cause);
+	const error = await t.throwsAsync(second);
+	assertQueuedCanceled(t, error, cause);
+	t.is(pool.pending, 0);
+	t.is(await second.nodeChildProcess.catch(error => error), error);
+	const {stdout} = await first;
+	t.is(stdout, testString);
+});
+
+test('options.cancelSignal can be already aborted on queued subprocesses', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const first = pool(...nodePrintStdout);
+	const cancelSignal = AbortSignal.abort();
+	const error = await t.throwsAsync(pool(...nodeHanging, {cancelSignal}));
+	assertQueuedCanceled(t, error, cancelSignal.reason);
+	t.is(pool.pending, 0);
+	await first;
+});
+
+test('pool.clear() cancels queued subprocesses', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const first = pool(...nodePrintSleep);
+	const second = pool(...nodeHanging);
+	pool.clear();
+	t.is(pool.pending, 0);
+	t.is(pool.running, 1);
+	const error = await t.throwsAsync(second);
+	assertQueuedCanceled(t, error, error.cause);
+	t.is(error.cause.message, 'The pool was cleared.');
+	const {stdout} = await first;
+	t.is(stdout, testString);
+});
+
+test('spawn.pool() frees the slot when the subprocess fails to spawn', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const first = pool(nonExistentCommand);
+	const second = pool(...nodePrintStdout);
+	assertNonExistent(t, await t.throwsAsync(first));
+	const {stdout} = await second;
+	t.is(stdout, testString);
+	t.is(pool.running, 0);
+});
+
+test('pool.create() shares the same pool', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const first = pool(...nodePrintSleep);
+	const second = pool.create({})(...nodePrintStdout);
+	t.is(pool.pending, 1);
+	await Promise.all([first, second]);
+});
+
+test('pool.$ uses the pool', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const first = pool(...nodePrintSleep);
+	const second = pool.$`node -e ${'console.log("test")'}`;
+	t.is(pool.pending, 1);
+	await Promise.all([first, second]);
+});
+
+test('subprocess.pipe() destinations are not queued', async t => {
+	const pool = spawn.pool({concurrency: 1});
+	const {stdout} = await pool(...nodePrintStdout).pipe(...nodeToUpperCase);
+	t.is(stdout, testUpperCase);
+	t.is(pool.running, 0);
+});
@@ -0,0 +1,47 @@
+import test from 'ava';
+import spawn from '../source/index.js';
+import {testString} from './helpers/arguments.js';
+import {isWindows} from './helpers/main.js';
+
+const testQuote = (t, command, shell, expectedOutput) => {
+	t.is(spawn.quote(command, {shell}), expectedOutput);
+};
+
+test('spawn.quote() does not quote normal arguments', testQuote, ['node', '--version', './a_b.js'], 'posix', 'node --version ./a_b.js');
+test('spawn.quote() quotes spaces', testQuote, ['node', '. .'], 'posix', 'node \'. .\'');
+test('spawn.quote() quotes single quotes', testQuote, ['node', '\''], 'posix', 'node \'\'\\\'\'\'');
+test('spawn.quote() quotes empty arguments', testQuote, ['node', ''], 'posix', 'node \'\'');
+test('spawn.quote() quotes shell characters', testQuote, ['node', '$HOME`a`*;|'], 'posix', 'node \'$HOME`a`*;|\'');
+test('spawn.quote() quotes the file', testQuote, ['my node'], 'posix', '\'my node\'');
+test('spawn.quote() uses POSIX shells by default', testQuote, ['node', '. .'], undefined, 'node \'. .\'');
+test('spawn.quote() handles empty commands', testQuote, [], 'posix', '');
+test('spawn.quote() with PowerShell does not quote normal arguments', testQuote, ['node', '--version'], 'powershell', 'node --version');
+test('spawn.quote() with PowerShell quotes spaces', testQuote, ['node', '. .'], 'powershell', 'node \'. .\'');
+test('spawn.quote() with PowerShell quotes single quotes', testQuote, ['node', '\'‘’'], 'powershell', 'node \'\'\'‘‘’’\'');
+test('spawn.quote() with PowerShell quotes empty arguments', testQuote, ['node', ''], 'powershell', 'node \'\'');
+test('spawn.quote() with PowerShell uses the call operator when quoting the file', testQuote, ['my node', '. .'], 'powershell', '& \'my node\' \'. .\'');
+test('spawn.quote() with cmd.exe quotes arguments', testQuote, ['node', '--version'], 'cmd', 'node ^"--version^"');
+test('spawn.quote() with cmd.exe escapes shell characters', testQuote, ['my&node', 'a|b "c"'], 'cmd', 'my^&node ^"a^|b^ \\^"c\\^"^"');
+test('spawn.quote() with cmd.exe escapes arguments twice with .cmd files', testQuote, ['build.cmd', '--version'], 'cmd', 'build.cmd ^^^"--version^^^"');
+test('spawn.quote() with cmd.exe escapes arguments twice with .bat files', testQuote, ['BUILD.BAT', 'a|b'], 'cmd', 'BUILD.BAT ^^^"a^^^|b^^^"');
+
+const testInvalid = (t, command, options, message) => {
+	t.throws(() => spawn.quote(command, options), {instanceOf: TypeError, message});
+};
+
+test('spawn.quote() validates the command', testInvalid, 'node', {}, 'The command must be an array of strings, not node.');
+test('spawn.quote() validates the command items', testInvalid, ['node', 1], {}, 'The command must be an array of strings, not node,1.');
+test('spawn.quote() validates options.shell', testInvalid, ['node'], {shell: 'bash'}, 'The "shell" option must be "posix", "cmd" or "powershell", not "bash".');
+test('spawn.quote() does not allow inherited options.shell', testInvalid, ['node'], {shell: 'toString'}, 'The "shell" option must be "posix", "cmd" or "powershell", not "toString".');
+
+test('spawn.create() has spawn.quote()', t => {
+	t.is(spawn.create({}).quote(['node', '. .']), 'node \'. .\'');
+});
+
+if (!isWindows) {
+	test('spawn.quote() output can be run by a POSIX shell', async t => {
+		const commandArguments = [testString, '. .', '\'', '"', '', '$HOME', '\\', '\n', '*'];
+		const {stdout} = await spawn(spawn.quote(['node', '-p', 'JSON.stringify(process.argv.slice(1))', ...commandArguments]), {shell: '/bin/sh'});
+		t.deepEqual(JSON.parse(stdout), commandArguments);
+	});
+}
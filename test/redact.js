@@ -0,0 +1,200 @@
+import {subscribe, unsubscribe} from 'node:diagnostics_channel';
+import test from 'ava';
+import spawn, {secret} from '../source/index.js';
+import {arrayFromAsync} from './helpers/main.js';
+import {nodeEval, nodePrint, nonExistentCommand} from './helpers/commands.js';
+
+const token = 'abc123';
+const printArguments = 'console.log(JSON.stringify(process.argv.slice(1)))';
+const nodePrintArguments = nodeEval(printArguments);
+const nodePrintToken = nodeEval(`console.log("token: ${token}");
+console.error("${token}");`);
+
+test('options.redact redacts strings from arguments', async t => {
+	const [file, commandArguments] = nodePrintArguments;
+	const {command, stdout} = await spawn(file, [...commandArguments, `token=${token}`], {redact: [token]});
+	t.is(command, `node -e '${printArguments}' 'token=***'`);
+	t.deepEqual(JSON.parse(stdout), [`token=${token}`]);
+});
+
+test('options.redact applies to result.escapedCommand', async t => {
+	const [file, commandArguments] = nodePrintArguments;
+	const {escapedCommand} = await spawn(file, [...commandArguments, `token=${token}`], {redact: [token]});
+	t.is(escapedCommand, `node -e '${printArguments}' 'token=***'`);
+});
+
+test('options.redact redacts strings before escaping', async t => {
+	const [file, commandArguments] = nodePrintArguments;
+	const {command} = await spawn(file, [...commandArguments, 'it\'s'], {redact: ['it\'s']});
+	t.is(command, `node -e '${printArguments}' '***'`);
+});
+
+test('options.redact redacts regular expressions', async t => {
+	const [file, commandArguments] = nodePrintArguments;
+	const {command} = await spawn(file, [...commandArguments, `token=${token}`, `key=${token}`], {redact: [/(?<=\w+=)\w+/]});
+	t.true(command.endsWith(' \'token=***\' \'key=***\''));
+});
+
+test('options.redact redacts patterns spanning several arguments', async t => {
+	const [file, commandArguments] = nodePrintArguments;
+	const {command} = await spawn(file, [...commandArguments, 'token', token], {redact: [/(?<=token )\w+/]});
+	t.true(command.endsWith(' token ***'));
+});
+
+test('options.redact can be a function', async t => {
+	const [file, commandArguments] = nodePrintArguments;
+	const {command} = await spawn(file, [...commandArguments, token], {redact: text => text.replaceAll(token, '[hidden]')});
+	t.true(command.endsWith(' \'[hidden]\''));
+});
+
+test('options.redact ignores empty strings', async t => {
+	const {command} = await spawn(...nodePrintArguments, {redact: ['']});
+	t.is(command, `node -e '${printArguments}'`);
+});
+
+test('options.redact redacts error messages', async t => {
+	const error = await t.throwsAsync(spawn('node', ['-e', 'process.exit(2)', token], {redact: [token]}));
+	t.false(error.message.includes(token));
+	t.false(error.stack.includes(token));
+	t.is(error.message, `Command failed with exit code 2: ${error.command}`);
+});
+
+test('options.redact redacts the arguments when failing to spawn', async t => {
+	const error = await t.throwsAsync(spawn(nonExistentCommand, [token], {redact: [token]}));
+	t.is(error.cause.spawnargs.at(-1), '***');
+});
+
+test('options.redact redacts the output included in error messages', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrint(`"${token}"`), {redact: [token]}).stdout.json().next());
+	t.false(error.message.includes(token));
+});
+
+test('options.redact redacts error.shortMessage and error.originalMessage', async t => {
+	const error = await t.throwsAsync(spawn(`/nonexistent/${token}`, {redact: [token]}));
+	t.is(error.shortMessage, `Command failed: ${error.command}`);
+	t.is(error.originalMessage, 'spawn /nonexistent/*** ENOENT');
+	t.false(error.command.includes(token));
+	t.false(error.message.includes(token));
+});
+
+test('options.redact redacts error.cause', async t => {
+	const error = await t.throwsAsync(spawn(`/nonexistent/${token}`, {redact: [token]}));
+	t.is(error.cause.message, 'spawn /nonexistent/*** ENOENT');
+	t.is(error.cause.path, '/nonexistent/***');
+	t.false(error.cause.stack.includes(token));
+});
+
+test('options.redact redacts the output included in error.cause', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrint(`"${token}"`), {redact: [token]}).json());
+	t.false(error.cause.message.includes(token));
+	t.false(error.cause.stack.includes(token));
+});
+
+test('options.redact redacts the output included in error.originalMessage', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrint(`"${token}"`), {redact: [token]}).json());
+	t.false(error.originalMessage.includes(token));
+	t.true(error.originalMessage.includes('***'));
+});
+
+test('options.redact redacts the output included in error.shortMessage', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrint(`"${token}"`), {redact: [token]}).stdout.json().next());
+	t.false(error.shortMessage.includes(token));
+	t.true(error.shortMessage.endsWith('\n***'));
+});
+
+test('options.redact does not redact the output by default', async t => {
+	const {stdout, stderr, output} = await spawn(...nodePrintToken, {redact: [token]});
+	t.is(stdout, `token: ${token}`);
+	t.is(stderr, token);
+	t.true(output.includes(token));
+});
+
+test('options.redactOutput redacts the output', async t => {
+	const {stdout, stderr, output} = await spawn(...nodePrintToken, {redact: [token], redactOutput: true});
+	t.is(stdout, 'token: ***');
+	t.is(stderr, '***');
+	t.false(output.includes(token));
+});
+
+test('options.redactOutput redacts iterated lines', async t => {
+	const lines = await arrayFromAsync(spawn(...nodePrintToken, {redact: [token], redactOutput: true}));
+	t.deepEqual(lines.sort(), ['***', 'token: ***']);
+});
+
+test('options.redactOutput redacts verbose logs', async t => {
+	const lines = [];
+	await spawn(...nodePrintToken, {
+		redact: [token],
+		redactOutput: true,
+		verbose: 'full',
+		logger(line) {
+			lines.push(line);
+		},
+	});
+	t.is(lines.length, 4);
+	t.false(lines.some(line => line.includes(token)));
+});
+
+test('options.redactOutput does not apply with encoding "buffer"', async t => {
+	const {stderr} = await spawn(...nodePrintToken, {redact: [token], redactOutput: true, encoding: 'buffer'});
+	t.is(new TextDecoder().decode(stderr), `${token}\n`);
+});
+
+test('options.redact applies to the output included in error.message', async t => {
+	const [file, commandArguments] = nodePrintToken;
+	const error = await t.throwsAsync(spawn(file, [commandArguments[0], `${commandArguments[1]}\nprocess.exitCode = 2;`], {redact: [token]}));
+	t.is(error.message, `${error.shortMessage}\n\n***`);
+	t.is(error.stderr, token);
+});
+
+test('options.redact is validated', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintArguments, {redact: [1]}));
+	t.is(error.cause.message, 'The "redact" option must be an array of strings and regular expressions, or a function, not 1.');
+});
+
+test('secret() arguments are redacted', async t => {
+	const [file, commandArguments] = nodePrintArguments;
+	const {command, stdout} = await spawn(file, [...commandArguments, secret(token)]);
+	t.is(command, `node -e '${printArguments}' '***'`);
+	t.deepEqual(JSON.parse(stdout), [token]);
+});
+
+test('secret() arguments are redacted with subprocess.pipe()', async t => {
+	const {command, stdout} = await spawn(...nodePrint('"test"')).pipe('node', ['-e', printArguments, secret(token)]);
+	t.false(command.includes(token));
+	t.deepEqual(JSON.parse(stdout), [token]);
+});
+
+test('secret() values are redacted everywhere in the command', async t => {
+	const [file, commandArguments] = nodePrintArguments;
+	const {command} = await spawn(file, [...commandArguments, secret(token), `token=${token}`]);
+	t.false(command.includes(token));
+});
+
+test('secret() can be used with spawn.$', async t => {
+	const subprocess = spawn.$`node -e ${printArguments} token=${secret(token)} ${[secret(token), 'other']}`;
+	t.deepEqual(await subprocess.json(), [`token=${token}`, token, 'other']);
+	const {command} = await subprocess;
+	t.true(command.endsWith(' \'token=***\' \'***\' other'));
+});
+
+test('secret() requires a string', t => {
+	t.throws(() => secret(1), {message: 'The secret must be a string, not number.'});
+});
+
+test('secret() arguments are redacted in diagnostics channels', async t => {
+	const messages = [];
+	const listener = message => {
+		messages.push(message);
+	};
+
+	subscribe('nano-spawn:start', listener);
+	try {
+		await spawn('node', ['-e', `${printArguments} // diagnostics`, secret(token)]);
+	} finally {
+		unsubscribe('nano-spawn:start', listener);
+	}
+
+	const {arguments: commandArguments} = messages.find(({command}) => command.includes('diagnostics'));
+	t.is(commandArguments.at(-1), '***');
+});
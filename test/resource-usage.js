@@ -0,0 +1,46 @@
+import test from 'ava';
+import spawn from '../source/index.js';
+import {isLinux} from './helpers/main.js';
+import {nodeEval, nodePrintStdout, nonExistentCommand} from './helpers/commands.js';
+
+// Allocates about 100MB and uses the CPU for a while
+const nodeUseResources = exitCode => nodeEval(`const buffer = Buffer.alloc(1e8, 1);
+const end = Date.now() + 5e2;
+while (Date.now() < end) {}
+console.log(buffer.length);
+process.exitCode = ${exitCode};`);
+
+const assertResourceUsage = (t, resourceUsage) => {
+	t.deepEqual(Object.keys(resourceUsage), ['userCPUTime', 'systemCPUTime', 'maxRSS', 'voluntaryContextSwitches', 'involuntaryContextSwitches']);
+	t.true(resourceUsage.userCPUTime + resourceUsage.systemCPUTime >= 1e5);
+	t.true(resourceUsage.maxRSS >= 1e5);
+	t.true(Number.isInteger(resourceUsage.voluntaryContextSwitches));
+	t.true(Number.isInteger(resourceUsage.involuntaryContextSwitches));
+};
+
+if (isLinux) {
+	test.serial('result.resourceUsage is set with options.resourceUsage', async t => {
+		const {resourceUsage} = await spawn(...nodeUseResources(0), {resourceUsage: true});
+		assertResourceUsage(t, resourceUsage);
+	});
+
+	test.serial('subprocessError.resourceUsage is set with options.resourceUsage', async t => {
+		const {resourceUsage} = await t.throwsAsync(spawn(...nodeUseResources(2), {resourceUsage: true}));
+		assertResourceUsage(t, resourceUsage);
+	});
+
+	test('result.resourceUsage is undefined by default', async t => {
+		const {resourceUsage} = await spawn(...nodePrintStdout);
+		t.is(resourceUsage, undefined);
+	});
+
+	test('subprocessError.resourceUsage is undefined if the subprocess failed to spawn', async t => {
+		const error = await t.throwsAsync(spawn(nonExistentCommand, {resourceUsage: true}));
+		t.is(error.resourceUsage, undefined);
+	});
+} else {
+	test('result.resourceUsage is undefined on other platforms', async t => {
+		const {resourceUsage} = await spawn(...nodePrintStdout, {resourceUsage: true});
+		t.is(resourceUsage, undefined);
+	});
+}
@@ -25,6 +25,8 @@ import {
 	nodeHanging,
 	nodeEval,
 	nodePrintNoNewline,
+	nodePrintFail,
+	nodePrintBothFail,
 	nonExistentCommand,
 } from './helpers/commands.js';
 
@@ -46,8 +48,12 @@ test('Error on non-0 exit code', async t => {
 });
 
 test('Error on signal termination', async t => {
-	const error = await t.throwsAsync(spawn(...nodeHanging, {timeout: 1}));
+	const subprocess = spawn(...nodeHanging);
+	const nodeChildProcess = await subprocess.nodeChildProcess;
+	nodeChildProcess.kill();
+	const error = await t.throwsAsync(subprocess);
 	assertSigterm(t, error);
+	t.false(error.timedOut);
 });
 
 test('Error on invalid child_process options', async t => {
@@ -171,3 +177,71 @@ test('result.stdout handles 2 newlines at the end', testNewline, 'a\nb\n\n', 'a\
 test('result.stdout handles 2 Windows newlines at the beginning', testNewline, '\r\n\r\na\r\nb', '\r\n\r\na\r\nb');
 test('result.stdout handles 2 Windows newlines in the middle', testNewline, 'a\r\n\r\nb', 'a\r\n\r\nb');
 test('result.stdout handles 2 Windows newlines at the end', testNewline, 'a\r\nb\r\n\r\n', 'a\r\nb\r\n');
+
+const nodePrintLinesFail = nodeEval(`for (let index = 1; index <= 20; index += 1) {
+	console.error(index);
+}
+
+process.exit(2);`);
+
+test('error.message includes the last lines of stderr', async t => {
+	const {message, shortMessage, command} = await t.throwsAsync(spawn(...nodePrintBothFail));
+	t.is(shortMessage, `Command failed with exit code 2: ${command}`);
+	t.is(message, `${shortMessage}\n\n${secondTestString}`);
+});
+
+test('error.message includes the last lines of stdout if stderr is empty', async t => {
+	const {message, shortMessage} = await t.throwsAsync(spawn(...nodePrintFail));
+	t.is(message, `${shortMessage}\n\n${testString}`);
+});
+
+test('error.message does not include the output if it is empty', async t => {
+	const {message, shortMessage} = await t.throwsAsync(spawn(...nodeEval('process.exit(2)')));
+	t.is(message, shortMessage);
+});
+
+test('error.message includes the last 10 lines by default', async t => {
+	const {message, shortMessage} = await t.throwsAsync(spawn(...nodePrintLinesFail));
+	t.is(message, `${shortMessage}\n\n${[11, 12, 13, 14, 15, 16, 17, 18, 19, 20].join('\n')}`);
+});
+
+test('options.errorLines sets the number of lines', async t => {
+	const {message, shortMessage} = await t.throwsAsync(spawn(...nodePrintLinesFail, {errorLines: 2}));
+	t.is(message, `${shortMessage}\n\n19\n20`);
+});
+
+test('options.errorLines 0 does not include the output', async t => {
+	const {message, shortMessage, stderr} = await t.throwsAsync(spawn(...nodePrintLinesFail, {errorLines: 0}));
+	t.is(message, shortMessage);
+	t.not(stderr, '');
+});
+
+test('options.errorLines can be Infinity', async t => {
+	const {message, shortMessage, stderr} = await t.throwsAsync(spawn(...nodePrintLinesFail, {errorLines: Number.POSITIVE_INFINITY}));
+	t.is(message, `${shortMessage}\n\n${stderr}`);
+});
+
+test('error.message decodes the output with options.encoding "buffer"', async t => {
+	const {message, shortMessage} = await t.throwsAsync(spawn(...nodePrintBothFail, {encoding: 'buffer'}));
+	t.is(message, `${shortMessage}\n\n${secondTestString}`);
+});
+
+const testInvalidErrorLines = async (t, errorLines) => {
+	const {cause} = await t.throwsAsync(spawn(...nodePrintStdout, {errorLines}));
+	t.true(cause instanceof TypeError);
+	t.is(cause.message, `The "errorLines" option must be a non-negative integer or Infinity, not ${errorLines}.`);
+};
+
+test('options.errorLines cannot be negative', testInvalidErrorLines, -1);
+test('options.errorLines cannot be a float', testInvalidErrorLines, 1.5);
+test('options.errorLines cannot be a string', testInvalidErrorLines, '1');
+
+test('error.originalMessage is undefined without a cause', async t => {
+	const {originalMessage} = await t.throwsAsync(spawn(...nodePrintFail));
+	t.is(originalMessage, undefined);
+});
+
+test('error.stack includes the full message', async t => {
+	const {message, stack} = await t.throwsAsync(spawn(nonExistentCommand));
+	t.true(stack.includes(message));
+});
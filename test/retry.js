@@ -0,0 +1,294 @@
+import {once} from 'node:events';
+import {readFile} from 'node:fs/promises';
+import {Readable} from 'node:stream';
+import {setTimeout} from 'node:timers/promises';
+import test from 'ava';
+import {temporaryWriteTask} from 'tempy';
+import spawn, {SubprocessError} from '../source/index.js';
+import {arrayFromAsync} from './helpers/main.js';
+import {testString} from './helpers/arguments.js';
+import {assertFail, assertCanceled, assertDurationMs} from './helpers/assert.js';
+import {
+	nodeEval,
+	nodePrintFail,
+	nodePrintStdout,
+	nodePassThrough,
+	nodeHanging,
+} from './helpers/commands.js';
+
+// Fails until it has been run `failCount` times, using a file as a counter.
+// Prints its input followed by that counter.
+const nodeFlakyCommand = (counterPath, failCount) => nodeEval(`const fs = require("node:fs");
+const count = Number(fs.readFileSync(${JSON.stringify(counterPath)}, "utf8")) + 1;
+fs.writeFileSync(${JSON.stringify(counterPath)}, String(count));
+const input = fs.readFileSync(0, "utf8");
+console.log(input + count);
+process.exit(count <= ${failCount} ? 2 : 0);`);
+
+const spawnFlaky = (counterPath, failCount, options) => spawn(...nodeFlakyCommand(counterPath, failCount), {stdin: 'ignore', ...options});
+
+const getCount = async counterPath => Number(await readFile(counterPath, 'utf8'));
+
+test('options.retry re-runs failed subprocesses', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const {stdout, durationMs} = await spawnFlaky(counterPath, 2, {retry: {retries: 2, delay: 0}});
+		t.is(stdout, '3');
+		t.is(await getCount(counterPath), 3);
+		assertDurationMs(t, durationMs);
+	});
+});
+
+test('options.retry fails after options.retry.retries', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const error = await t.throwsAsync(spawnFlaky(counterPath, 3, {retry: {retries: 2, delay: 0}}));
+		assertFail(t, error);
+		t.is(error.stdout, '3');
+		t.is(await getCount(counterPath), 3);
+		t.deepEqual(error.attempts.map(({stdout}) => stdout), ['1', '2', '3']);
+		t.true(error.attempts.every(attempt => attempt instanceof SubprocessError));
+		t.is(error.attempts.at(-1), error);
+	});
+});
+
+test('options.retry.retries defaults to 0', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const error = await t.throwsAsync(spawnFlaky(counterPath, 1, {retry: {delay: 0}}));
+		t.is(await getCount(counterPath), 1);
+		t.deepEqual(error.attempts, [error]);
+	});
+});
+
+test('error.attempts is set without options.retry', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintFail));
+	t.deepEqual(error.attempts, [error]);
+});
+
+test('error.attempts is not enumerable', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const error = await t.throwsAsync(spawnFlaky(counterPath, 2, {retry: {retries: 1, delay: 0}}));
+		t.is(error.attempts.length, 2);
+		t.false(Object.keys(error).includes('attempts'));
+	});
+});
+
+test('options.retry reports the total durationMs', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const error = await t.throwsAsync(spawnFlaky(counterPath, 2, {retry: {retries: 1, delay: 2e2}}));
+		const [firstAttempt, secondAttempt] = error.attempts;
+		t.true(secondAttempt.durationMs >= firstAttempt.durationMs + 2e2);
+		t.is(error.durationMs, secondAttempt.durationMs);
+	});
+});
+
+test.serial('options.retry.delay and options.retry.factor', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const start = performance.now();
+		await spawnFlaky(counterPath, 2, {retry: {retries: 2, delay: 1e2, factor: 3}});
+		t.true(performance.now() - start >= 1e2 + 3e2);
+	});
+});
+
+test('options.retry.shouldRetry can prevent retries', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const errors = [];
+		const error = await t.throwsAsync(spawnFlaky(counterPath, 2, {
+			retry: {
+				retries: 2,
+				delay: 0,
+				shouldRetry(error) {
+					errors.push(error);
+					return false;
+				},
+			},
+		}));
+		t.deepEqual(errors, [error]);
+		t.is(await getCount(counterPath), 1);
+	});
+});
+
+test('options.retry.shouldRetry can be async', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const {stdout} = await spawnFlaky(counterPath, 1, {retry: {retries: 2, delay: 0, shouldRetry: async ({exitCode}) => exitCode === 2}});
+		t.is(stdout, '2');
+	});
+});
+
+test('options.retry.shouldRetry is not called on success', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const {stdout} = await spawnFlaky(counterPath, 0, {retry: {retries: 2, shouldRetry: t.fail}});
+		t.is(stdout, '1');
+	});
+});
+
+test('options.retry re-sends options.stdin', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const error = await t.throwsAsync(spawnFlaky(counterPath, 2, {stdin: {string: testString}, retry: {retries: 1, delay: 0}}));
+		t.deepEqual(error.attempts.map(({stdout}) => stdout), [`${testString}1`, `${testString}2`]);
+	});
+});
+
+test('options.retry does not keep the output of previous attempts', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const {stdout, output} = await spawnFlaky(counterPath, 1, {stdin: {string: testString}, retry: {retries: 1, delay: 0}});
+		t.is(stdout, `${testString}2`);
+		t.is(output, stdout);
+	});
+});
+
+test('options.retry does not retry canceled subprocesses', async t => {
+	const cause = new Error(testString);
+	const error = await t.throwsAsync(spawn(...nodeHanging, {cancelSignal: AbortSignal.abort(cause), retry: {retries: 2, delay: 0}}));
+	assertCanceled(t, error, cause);
+	t.deepEqual(error.attempts, [error]);
+});
+
+// The next attempt is not started, so it has no `signalName`
+const assertCanceledBeforeAttempt = (t, {isCanceled, cause, shortMessage, command, signalName, stdout}, expectedCause) => {
+	t.true(isCanceled);
+	t.is(cause, expectedCause);
+	t.is(shortMessage, `Command was canceled: ${command}`);
+	t.is(signalName, undefined);
+	t.is(stdout, '');
+};
+
+test('options.cancelSignal interrupts options.retry.delay', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const controller = new AbortController();
+		const cause = new Error(testString);
+		const subprocess = spawnFlaky(counterPath, 1, {cancelSignal: controller.signal, retry: {retries: 1, delay: 1e6}});
+		const nodeChildProcess = await subprocess.nodeChildProcess;
+		await once(nodeChildProcess, 'close');
+		controller.abort(cause);
+		const error = await t.throwsAsync(subprocess);
+		assertCanceledBeforeAttempt(t, error, cause);
+		t.is(error.attempts.length, 2);
+		t.is(await getCount(counterPath), 1);
+	});
+});
+
+test('options.cancelSignal during options.retry.delay does not start another attempt', async t => {
+	const controller = new AbortController();
+	const cause = new Error(testString);
+	const lines = [];
+	const logger = line => {
+		lines.push(line);
+	};
+
+	const subprocess = spawn(...nodePrintFail, {
+		cancelSignal: controller.signal,
+		retry: {retries: 1, delay: 1e6},
+		verbose: 'short',
+		logger,
+	});
+	const nodeChildProcess = await subprocess.nodeChildProcess;
+	await once(nodeChildProcess, 'close');
+	controller.abort(cause);
+	const error = await t.throwsAsync(subprocess);
+	assertCanceledBeforeAttempt(t, error, cause);
+	t.is(error.attempts.length, 2);
+	t.is(error.attempts[0].exitCode, 2);
+	t.is(lines.filter(line => line.includes('$ ')).length, 1);
+});
+
+const testNonReplayableStdin = async (t, getStdin) => {
+	await temporaryWriteTask('0', async counterPath => {
+		const error = await t.throwsAsync(spawnFlaky(counterPath, 1, {stdin: getStdin(), retry: {retries: 1, delay: 0}}));
+		t.is(error.cause.message, 'The "retry" option cannot be used when the "stdin" option is a stream or an async iterable, since it cannot be replayed.');
+		t.deepEqual(error.attempts, [error]);
+		t.is(await getCount(counterPath), 0);
+	});
+};
+
+const generateInput = async function * () {
+	yield testString;
+};
+
+test('options.retry cannot be used with an async iterable options.stdin', testNonReplayableStdin, generateInput);
+test('options.retry cannot be used with a stream options.stdin', testNonReplayableStdin, () => Readable.from([testString]));
+
+test('options.retry.retries 0 can be used with an async iterable options.stdin', async t => {
+	const {stdout} = await spawn(...nodePassThrough, {stdin: generateInput(), retry: {retries: 0}});
+	t.is(stdout, testString);
+});
+
+// Fails on the first run, then keeps running
+const nodeFailThenHang = counterPath => nodeEval(`const fs = require("node:fs");
+const count = Number(fs.readFileSync(${JSON.stringify(counterPath)}, "utf8")) + 1;
+fs.writeFileSync(${JSON.stringify(counterPath)}, String(count));
+if (count === 1) {
+	process.exit(2);
+}
+setInterval(() => {}, 1e3);`);
+
+const waitForCount = async (counterPath, count) => {
+	// eslint-disable-next-line no-await-in-loop
+	while (await getCount(counterPath) < count) {
+		// eslint-disable-next-line no-await-in-loop
+		await setTimeout(10);
+	}
+};
+
+test('subprocess.kill() applies to the current attempt', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const subprocess = spawn(...nodeFailThenHang(counterPath), {retry: {retries: 1, delay: 0}});
+		await waitForCount(counterPath, 2);
+		const [error] = await Promise.all([t.throwsAsync(subprocess), subprocess.kill()]);
+		t.is(error.signalName, 'SIGTERM');
+		t.is(error.attempts.length, 2);
+		t.is(error.attempts[0].exitCode, 2);
+	});
+});
+
+test('options.retry cannot be used with .pipe() destinations', async t => {
+	const error = await t.throwsAsync(spawn(...nodePrintStdout).pipe(...nodePassThrough, {retry: {retries: 1, delay: 0}}));
+	t.true(error.cause instanceof TypeError);
+	t.is(error.cause.message, 'The "retry" option cannot be used with "subprocess.pipe()" destinations, since their input cannot be replayed.');
+	t.is(error.attempts.length, 1);
+});
+
+test('options.retry is not inherited by .pipe() destinations', async t => {
+	await temporaryWriteTask('0', async counterPath => {
+		const spawnRetry = spawn.create({retry: {retries: 1, delay: 0}});
+		const error = await t.throwsAsync(spawnRetry(...nodePrintStdout).pipe(...nodeFlakyCommand(counterPath, 1)));
+		t.is(error.stdout, `${testString}\n1`);
+		t.is(await getCount(counterPath), 1);
+		t.deepEqual(error.attempts, [error]);
+	});
+});
+
+test('options.retry cannot be used when iterating', async t => {
+	const subprocess = spawn(...nodePrintStdout, {retry: {retries: 1, delay: 0}});
+	await t.throwsAsync(arrayFromAsync(subprocess), {
+		instanceOf: TypeError,
+		message: 'The "retry" option cannot be used when iterating over the output, since each attempt has a different output.',
+	});
+	const {stdout} = await subprocess;
+	t.is(stdout, testString);
+});
+
+test('options.retry.retries 0 can be used when iterating', async t => {
+	const lines = await arrayFromAsync(spawn(...nodePrintStdout, {retry: {retries: 0}}));
+	t.deepEqual(lines, [testString]);
+});
+
+const testInvalidRetry = async (t, retry, message) => {
+	await temporaryWriteTask('0', async counterPath => {
+		const error = await t.throwsAsync(spawnFlaky(counterPath, 0, {retry}));
+		t.true(error instanceof SubprocessError);
+		t.true(error.cause instanceof TypeError);
+		t.is(error.cause.message, message);
+		t.deepEqual(error.attempts, [error]);
+		t.is(await getCount(counterPath), 0);
+	});
+};
+
+test('options.retry cannot be a number', testInvalidRetry, 2, 'The "retry" option must be an object, not 2.');
+test('options.retry cannot be null', testInvalidRetry, null, 'The "retry" option must be an object, not null.');
+test('options.retry.retries cannot be a string', testInvalidRetry, {retries: '2'}, 'The "retry.retries" option must be a non-negative integer, not 2.');
+test('options.retry.retries cannot be negative', testInvalidRetry, {retries: -1}, 'The "retry.retries" option must be a non-negative integer, not -1.');
+test('options.retry.retries cannot be a float', testInvalidRetry, {retries: 1.5}, 'The "retry.retries" option must be a non-negative integer, not 1.5.');
+test('options.retry.delay cannot be a string', testInvalidRetry, {retries: 1, delay: '1'}, 'The "retry.delay" option must be a non-negative number, not 1.');
+test('options.retry.delay cannot be negative', testInvalidRetry, {retries: 1, delay: -1}, 'The "retry.delay" option must be a non-negative number, not -1.');
+test('options.retry.factor cannot be a string', testInvalidRetry, {retries: 1, factor: '2'}, 'The "retry.factor" option must be a non-negative number, not 2.');
+test('options.retry.factor cannot be negative', testInvalidRetry, {retries: 1, factor: -2}, 'The "retry.factor" option must be a non-negative number, not -2.');
+test('options.retry.shouldRetry cannot be a string', testInvalidRetry, {retries: 1, shouldRetry: 'no'}, 'The "retry.shouldRetry" option must be a function, not no.');
@@ -0,0 +1,129 @@
+import {Buffer} from 'node:buffer';
+import test from 'ava';
+import spawn from '../source/index.js';
+import {arrayFromAsync} from './helpers/main.js';
+import {testString, secondTestString, testUpperCase} from './helpers/arguments.js';
+import {assertFail} from './helpers/assert.js';
+import {nodeToUpperCase} from './helpers/commands.js';
+
+const printArguments = 'console.log(JSON.stringify(process.argv.slice(1)))';
+
+test('spawn.$ runs a command', async t => {
+	const {stdout, command} = await spawn.$`node -e ${`console.log("${testString}")`}`;
+	t.is(stdout, testString);
+	t.is(command, `node -e 'console.log("${testString}")'`);
+});
+
+test('spawn.$ splits literal text on whitespace', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments}   ${testString}	${secondTestString} `.json(), [testString, secondTestString]);
+});
+
+test('spawn.$ literal text can contain arguments', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${testString} one two`.json(), [testString, 'one', 'two']);
+});
+
+test('spawn.$ keeps expressions with whitespace as a single argument', async t => {
+	const value = `${testString} ${secondTestString}\n`;
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${value}`.json(), [value]);
+});
+
+test('spawn.$ keeps empty strings as an argument', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${''} ${testString}`.json(), ['', testString]);
+});
+
+test('spawn.$ does not interpret shell characters', async t => {
+	const value = '$HOME; echo `ls` | cat > file && *';
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${value}`.json(), [value]);
+});
+
+test('spawn.$ spreads arrays', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${[testString, secondTestString]}`.json(), [testString, secondTestString]);
+});
+
+test('spawn.$ spreads empty arrays', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${[]} ${testString}`.json(), [testString]);
+});
+
+test('spawn.$ accepts numbers', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${1} ${[2, 3]}`.json(), ['1', '2', '3']);
+});
+
+test('spawn.$ joins expressions with adjacent text', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${testString}.txt --name=${testString} a${testString}b`.json(), [`${testString}.txt`, `--name=${testString}`, `a${testString}b`]);
+});
+
+test('spawn.$ joins adjacent expressions', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} ${testString}${secondTestString}`.json(), [`${testString}${secondTestString}`]);
+});
+
+test('spawn.$ joins arrays with adjacent text', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} a${[testString, secondTestString]}b`.json(), [`a${testString}`, `${secondTestString}b`]);
+});
+
+test('spawn.$ supports multiple lines', async t => {
+	const commandArguments = await spawn.$`
+		node
+			-e ${printArguments}
+			${testString}
+	`.json();
+	t.deepEqual(commandArguments, [testString]);
+});
+
+test('spawn.$ supports line continuations', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} \
+		${testString} \
+		${secondTestString}`.json(), [testString, secondTestString]);
+});
+
+test('spawn.$ keeps backslashes in literal text', async t => {
+	t.deepEqual(await spawn.$`node -e ${printArguments} C:\Users a\nb \u`.json(), ['C:\\Users', 'a\\nb', '\\u']);
+});
+
+test('spawn.$ command reflects the interpolated arguments', async t => {
+	const {command} = await spawn.$`node -e ${printArguments} ${`${testString} ${secondTestString}`} ${[testString]}`;
+	t.is(command, `node -e '${printArguments}' '${testString} ${secondTestString}' ${testString}`);
+});
+
+test('spawn.$ with options', async t => {
+	const {stdout} = await spawn.$({stdin: {string: testString}})`node -e ${'process.stdin.pipe(process.stdout)'}`;
+	t.is(stdout, testString);
+});
+
+test('spawn.$ with options can be called several times', async t => {
+	const $ = spawn.$({stdin: {string: testString}})({encoding: 'hex'});
+	const {stdout} = await $`node -e ${'process.stdin.pipe(process.stdout)'}`;
+	t.is(stdout, Buffer.from(testString).toString('hex'));
+});
+
+test('spawn.$ with options can be called multiple times', async t => {
+	const $ = spawn.$({stdin: {string: testString}});
+	const {stdout} = await $`node -e ${'process.stdin.pipe(process.stdout)'}`;
+	const {stdout: secondStdout} = await $`node -e ${'process.stdin.pipe(process.stdout)'}`;
+	t.is(stdout, testString);
+	t.is(secondStdout, testString);
+});
+
+test('spawn.$ can use .pipe()', async t => {
+	const {stdout} = await spawn.$`node -e ${`console.log("${testString}")`}`.pipe(...nodeToUpperCase);
+	t.is(stdout, testUpperCase);
+});
+
+test('spawn.$ can be iterated', async t => {
+	const lines = await arrayFromAsync(spawn.$`node -e ${`console.log("${testString}\\n${secondTestString}")`}`);
+	t.deepEqual(lines, [testString, secondTestString]);
+});
+
+test('spawn.$ failure', async t => {
+	const error = await t.throwsAsync(spawn.$`node -e ${'process.exit(2)'}`);
+	assertFail(t, error);
+});
+
+test('spawn.$ with an empty template', t => {
+	t.throws(() => spawn.$` `, {message: 'The template must contain a command.'});
+});
+
+test('spawn.$ with invalid expressions', t => {
+	t.throws(() => spawn.$`node ${true}`, {message: 'Template expressions must be strings, numbers, secrets or arrays of them, not boolean.'});
+	t.throws(() => spawn.$`node ${[{}]}`, {message: 'Template expressions must be strings, numbers, secrets or arrays of them, not object.'});
+	t.throws(() => spawn.$`node ${undefined}`, {message: 'Template expressions must be strings, numbers, secrets or arrays of them, not undefined.'});
+});
@@ -0,0 +1,158 @@
+import process from 'node:process';
+import test from 'ava';
+import spawn from '../source/index.js';
+import {arrayFromAsync} from './helpers/main.js';
+import {testString, secondTestString} from './helpers/arguments.js';
+import {
+	nodePrintStdout,
+	nodePrintBoth,
+	nodePrintFail,
+	nodePassThrough,
+	nonExistentCommand,
+} from './helpers/commands.js';
+
+// Returns the logged lines, without their timestamp and id
+const spawnVerbose = async (t, [file, commandArguments], options) => {
+	const lines = [];
+	const logger = line => {
+		lines.push(line);
+	};
+
+	const subprocess = spawn(file, commandArguments, {logger, ...options});
+	const result = await subprocess.catch(error => error);
+	t.true(lines.every(line => /^\[\d{2}:\d{2}:\d{2}\.\d{3}] \[\d+] /.test(line)));
+	const ids = new Set(lines.map(line => line.split(' ')[1]));
+	t.true(ids.size <= 1);
+	return {lines: lines.map(line => line.split(' ').slice(2).join(' ')), result};
+};
+
+const DURATION_REGEXP = /\(done in \d+ms\)$/;
+
+test('options.verbose "short" prints the command and its completion', async t => {
+	const {lines, result} = await spawnVerbose(t, nodePrintStdout, {verbose: 'short'});
+	t.is(lines.length, 2);
+	t.is(lines[0], `$ ${result.command}`);
+	t.regex(lines[1], /^✔ /);
+	t.regex(lines[1], DURATION_REGEXP);
+});
+
+test('options.verbose "short" prints failures', async t => {
+	const {lines, result} = await spawnVerbose(t, nodePrintFail, {verbose: 'short'});
+	t.is(lines.length, 2);
+	t.is(lines[1].replace(DURATION_REGEXP, ''), `✘ ${result.shortMessage} `);
+	t.regex(lines[1], DURATION_REGEXP);
+});
+
+test('options.verbose "short" prints failures to spawn', async t => {
+	const {lines} = await spawnVerbose(t, [nonExistentCommand, []], {verbose: 'short'});
+	t.deepEqual(lines.slice(0, 1), [`$ ${nonExistentCommand}`]);
+	t.true(lines[1].startsWith(`✘ Command failed: ${nonExistentCommand}`));
+});
+
+test('options.verbose "short" does not print the output', async t => {
+	const {lines} = await spawnVerbose(t, nodePrintBoth, {verbose: 'short'});
+	t.is(lines.length, 2);
+	t.false(lines[1].includes(testString));
+});
+
+test('options.verbose "full" prints the output', async t => {
+	const {lines} = await spawnVerbose(t, nodePrintBoth, {verbose: 'full'});
+	t.deepEqual(lines.slice(1, -1), [`  ${testString}`, `  ${secondTestString}`]);
+});
+
+test('options.verbose "full" prints the output with encoding "buffer"', async t => {
+	const {lines} = await spawnVerbose(t, nodePrintStdout, {verbose: 'full', encoding: 'buffer'});
+	t.deepEqual(lines.slice(1, -1), [`  ${testString}`]);
+});
+
+test('options.verbose "full" prints the last line without a newline', async t => {
+	const {lines} = await spawnVerbose(t, nodePassThrough, {verbose: 'full', stdin: {string: `${testString}\n${secondTestString}`}});
+	t.deepEqual(lines.slice(1, -1), [`  ${testString}`, `  ${secondTestString}`]);
+});
+
+test('options.verbose "full" prints the output when iterating', async t => {
+	const lines = [];
+	const subprocess = spawn(...nodePrintStdout, {
+		verbose: 'full',
+		logger(line) {
+			lines.push(line);
+		},
+	});
+	t.deepEqual(await arrayFromAsync(subprocess), [testString]);
+	t.true(lines[1].endsWith(`  ${testString}`));
+});
+
+test('options.verbose "none" prints nothing', async t => {
+	const {lines} = await spawnVerbose(t, nodePrintStdout, {verbose: 'none'});
+	t.deepEqual(lines, []);
+});
+
+test('options.verbose defaults to "none"', async t => {
+	const {lines} = await spawnVerbose(t, nodePrintStdout, {});
+	t.deepEqual(lines, []);
+});
+
+test.serial('options.verbose defaults to the NANO_SPAWN_VERBOSE environment variable', async t => {
+	process.env.NANO_SPAWN_VERBOSE = 'short';
+	try {
+		const {lines} = await spawnVerbose(t, nodePrintStdout, {});
+		t.is(lines.length, 2);
+	} finally {
+		delete process.env.NANO_SPAWN_VERBOSE;
+	}
+});
+
+test.serial('options.verbose ignores invalid values of the NANO_SPAWN_VERBOSE environment variable', async t => {
+	process.env.NANO_SPAWN_VERBOSE = '1';
+	try {
+		const {lines} = await spawnVerbose(t, nodePrintStdout, {});
+		t.deepEqual(lines, []);
+	} finally {
+		delete process.env.NANO_SPAWN_VERBOSE;
+	}
+});
+
+test.serial('options.verbose is validated even when the NANO_SPAWN_VERBOSE environment variable is set', async t => {
+	process.env.NANO_SPAWN_VERBOSE = 'short';
+	try {
+		const error = await t.throwsAsync(spawn(...nodePrintStdout, {verbose: '1'}));
+		t.is(error.cause.message, 'The "verbose" option must be "none", "short" or "full", not "1".');
+	} finally {
+		delete process.env.NANO_SPAWN_VERBOSE;
+	}
+});
+
+test('options.verbose is validated', async t => {
+	const {lines, result} = await spawnVerbose(t, nodePrintStdout, {verbose: 'other'});
+	t.is(result.cause.message, 'The "verbose" option must be "none", "short" or "full", not "other".');
+	t.deepEqual(lines, []);
+});
+
+test('options.verbose prints each attempt of options.retry', async t => {
+	const {lines} = await spawnVerbose(t, nodePrintFail, {verbose: 'short', retry: {retries: 1, delay: 0}});
+	t.is(lines.length, 4);
+	t.true(lines[0].startsWith('$ '));
+	t.true(lines[2].startsWith('$ '));
+});
+
+test('options.verbose uses a different id for each subprocess', async t => {
+	const lines = [];
+	const logger = line => {
+		lines.push(line);
+	};
+
+	await Promise.all([
+		spawn(...nodePrintStdout, {verbose: 'short', logger}),
+		spawn(...nodePrintStdout, {verbose: 'short', logger}),
+	]);
+	const ids = new Set(lines.map(line => line.split(' ')[1]));
+	t.is(ids.size, 2);
+});
+
+test('options.verbose prints to stderr by default', async t => {
+	const {stderr} = await spawn('node', ['--input-type=module', '-e', `import spawn from ${JSON.stringify(new URL('../source/index.js', import.meta.url).href)};
+await spawn("node", ["-e", "console.log(\\"${testString}\\")"], {verbose: "full"});`]);
+	const lines = stderr.split('\n');
+	t.is(lines.length, 3);
+	t.true(lines[1].endsWith(`  ${testString}`));
+});